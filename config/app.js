@@ -3,13 +3,15 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import swaggerUi from 'swagger-ui-express';
 import swaggerFile from '../swagger_output.json' with { type: 'json' };
-import { PORT } from '../utils/constants.js';
+import { PORT, FILE_SHA_HEADER, REQUEST_BODY_LIMIT } from '../utils/constants.js';
+import { QUOTA_HEADERS } from '../middleware/quota.js';
 
 // Route imports
 import authRoutes from '../routes/auth.js';
 import githubRoutes from '../routes/github.js';
 import translationRoutes from '../routes/translation.js';
 import leaderboardRoutes from '../routes/leaderboard.js';
+import languageRoutes from '../routes/languages.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,8 +23,9 @@ export function createApp() {
   const app = express();
 
   // Middleware
-  app.use(cors());
-  app.use(express.json());
+  // Expose the quota and file sha headers to browser clients
+  app.use(cors({ exposedHeaders: [...QUOTA_HEADERS, "Retry-After", FILE_SHA_HEADER] }));
+  app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 
   // Swagger documentation
   app.use("/docs", swaggerUi.serve, swaggerUi.setup(swaggerFile));
@@ -32,6 +35,7 @@ export function createApp() {
   app.use("/api/github", githubRoutes);
   app.use("/api/translation", translationRoutes);
   app.use("/api", leaderboardRoutes);
+  app.use("/api", languageRoutes);
 
   return app;
 }
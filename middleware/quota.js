@@ -0,0 +1,112 @@
+import { QuotaService } from '../services/quotaService.js';
+import { ERROR_MESSAGES, STATUS_CODES } from '../utils/constants.js';
+
+/**
+ * Response headers describing the caller's remaining daily quota
+ */
+export const QUOTA_HEADERS = [
+  "X-Quota-Requests-Limit",
+  "X-Quota-Requests-Remaining",
+  "X-Quota-Characters-Limit",
+  "X-Quota-Characters-Remaining",
+  "X-Quota-Reset",
+];
+
+function setQuotaHeaders(res, quota) {
+  const values = [
+    quota.limits.requests,
+    quota.remaining.requests,
+    quota.limits.characters,
+    quota.remaining.characters,
+    Math.floor(new Date(quota.resetAt).getTime() / 1000),
+  ];
+  QUOTA_HEADERS.forEach((header, index) => {
+    // Unlimited quotas have no limit or remaining header
+    if (values[index] !== null) {
+      res.set(header, String(values[index]));
+    }
+  });
+}
+
+/**
+ * Identifies the caller from the GitHub token and charges one request of
+ * countCharacters(req) characters against the daily quotas
+ * countCharacters may be async, for routes that only know what they will
+ * translate after reading a repository; it may keep what it read on req for
+ * the route. Validate the request before this middleware so that rejected
+ * requests are not charged
+ * Sets req.githubLogin and the quota headers; answers 429 when exhausted
+ */
+export const enforceTranslationQuota = (countCharacters) => {
+  return async (req, res, next) => {
+    const token = req.headers.authorization;
+    if (!token) {
+      return res.status(STATUS_CODES.UNAUTHORIZED).json({
+        error: "Unauthorized",
+        message: ERROR_MESSAGES.UNAUTHORIZED,
+      });
+    }
+
+    try {
+      const login = await QuotaService.identify(token);
+      const { allowed, scope, quota } = await QuotaService.consume(
+        login,
+        await countCharacters(req)
+      );
+      setQuotaHeaders(res, quota);
+
+      if (!allowed) {
+        res.set(
+          "Retry-After",
+          String(Math.ceil((new Date(quota.resetAt).getTime() - Date.now()) / 1000))
+        );
+        return res.status(STATUS_CODES.TOO_MANY_REQUESTS).json({
+          error: "Too Many Requests",
+          message:
+            scope === "user"
+              ? ERROR_MESSAGES.USER_QUOTA_EXCEEDED
+              : ERROR_MESSAGES.GLOBAL_QUOTA_EXCEEDED,
+          quota,
+        });
+      }
+
+      req.githubLogin = login;
+      next();
+    } catch (error) {
+      console.error("Error enforcing translation quota:", error);
+
+      if (error.status === STATUS_CODES.UNAUTHORIZED) {
+        return res.status(STATUS_CODES.UNAUTHORIZED).json({
+          error: "Unauthorized",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.NOT_FOUND) {
+        return res.status(STATUS_CODES.NOT_FOUND).json({
+          error: "Not Found",
+          message: error.message,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message: error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      return res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  };
+};
@@ -192,4 +192,78 @@ export const validateWorkflowScopeConditional = async (req, res, next) => {
   
   // Skip validation for non-workflow files
   next();
-};
\ No newline at end of file
+};
+
+// Checks that token belongs to an active member of the GitHub organization,
+// an administrator when adminOnly; the login is set on req.memberLogin (and
+// req.adminLogin for administrators)
+const checkOrgMembership = async (token, adminOnly, req, res, next) => {
+  const org = process.env.GITHUB_ORG || process.env.GITHUB_OWNER;
+  const requiredMessage = adminOnly
+    ? ERROR_MESSAGES.ORG_ADMIN_REQUIRED
+    : ERROR_MESSAGES.ORG_MEMBER_REQUIRED;
+
+  if (!token) {
+    return res.status(STATUS_CODES.UNAUTHORIZED).json({
+      error: "Unauthorized",
+      message: adminOnly ? ERROR_MESSAGES.ORG_TOKEN_UNAUTHORIZED : ERROR_MESSAGES.UNAUTHORIZED,
+    });
+  }
+
+  try {
+    const octokit = new Octokit({ auth: token });
+    const response = await octokit.request("GET /user/memberships/orgs/{org}", {
+      org,
+    });
+
+    if ((adminOnly && response.data.role !== "admin") || response.data.state !== "active") {
+      return res.status(STATUS_CODES.FORBIDDEN).json({
+        error: "Forbidden",
+        message: requiredMessage,
+      });
+    }
+
+    req.memberLogin = response.data.user?.login;
+    if (adminOnly) {
+      req.adminLogin = req.memberLogin;
+    }
+    next();
+  } catch (error) {
+    console.error("Error validating organization membership:", error);
+
+    if (error.response) {
+      const status =
+        error.response.status === STATUS_CODES.NOT_FOUND
+          ? STATUS_CODES.FORBIDDEN
+          : error.response.status;
+      return res.status(status).json({
+        error: "GitHub API Error",
+        message:
+          status === STATUS_CODES.FORBIDDEN
+            ? requiredMessage
+            : error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+      });
+    }
+
+    return res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+      error: "Internal Server Error",
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+    });
+  }
+};
+
+/**
+ * Validates that the token belongs to an administrator of the GitHub organization
+ */
+export const validateOrgAdmin = (req, res, next) => {
+  const token = req.headers.authorization;
+  return checkOrgMembership(token, true, req, res, next);
+};
+
+/**
+ * Validates that the token belongs to a member of the GitHub organization
+ */
+export const validateOrgMember = (req, res, next) => {
+  const token = req.headers.authorization;
+  return checkOrgMembership(token, false, req, res, next);
+};
@@ -1,6 +1,15 @@
 import express from "express";
+import { parse } from "yaml";
 import { GitHubService, GitHubOrgService } from "../services/githubService.js";
-import { ERROR_MESSAGES, STATUS_CODES } from "../utils/constants.js";
+import { GlossaryService } from "../services/glossaryService.js";
+import { LabelQueryService } from "../services/labelQueryService.js";
+import { LabelHistoryService } from "../services/labelHistoryService.js";
+import { StatsService } from "../services/statsService.js";
+import { ExchangeService } from "../services/exchangeService.js";
+import { SkosService } from "../services/skosService.js";
+import { PROVENANCE_ORIGINS, isLabelFilePath } from "../utils/labelFile.js";
+import { canonicalizeLanguageTag } from "../utils/languages.js";
+import { ERROR_MESSAGES, STATUS_CODES, FILE_SHA_HEADER } from "../utils/constants.js";
 import {
   validateGitHubToken,
   validateQueryParams,
@@ -172,7 +181,7 @@ router.get(
  *   type: 'string'
  * }
  * #swagger.responses[200] = {
- *   description: 'File content retrieved successfully',
+ *   description: 'File content retrieved successfully; the X-File-Sha header holds the blob sha to send as baseSha with translation updates',
  *   schema: {
  *     type: 'object',
  *     properties: {
@@ -196,8 +205,9 @@ router.get(
 
     try {
       const githubService = new GitHubService(token);
-      const content = await githubService.getFileContent(repo, path, branch);
-      res.json(content);
+      const { text, sha } = await githubService.getFileText(repo, path, branch);
+      res.set(FILE_SHA_HEADER, sha);
+      res.json(parse(text));
     } catch (error) {
       console.error("Error while retrieving the file content:", error);
       res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
@@ -208,6 +218,549 @@ router.get(
   }
 );
 
+/**
+ * GET /api/github/labels
+ * Search the labels of a branch
+ * #swagger.description = 'Filter, search, sort and page the labels of all label files of a branch, with the file path and line of each label'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['repo'] = { in: 'query', description: 'Repository name', required: true, type: 'string' }
+ * #swagger.parameters['branch'] = { in: 'query', description: 'Branch name', required: true, type: 'string' }
+ * #swagger.parameters['path'] = { in: 'query', description: 'Only label files under this path prefix, such as P01/', required: false, type: 'string' }
+ * #swagger.parameters['name'] = { in: 'query', description: 'Only labels with this name, such as prefLabel', required: false, type: 'string' }
+ * #swagger.parameters['language'] = { in: 'query', description: 'Language the untranslated, changed, approved and target filters apply to', required: false, type: 'string' }
+ * #swagger.parameters['untranslated'] = { in: 'query', description: '"true" for labels without a translation in the language, "false" for translated ones', required: false, type: 'string' }
+ * #swagger.parameters['changed'] = { in: 'query', description: '"true" for labels whose translations differ from main, "false" for the others', required: false, type: 'string' }
+ * #swagger.parameters['approved'] = { in: 'query', description: '"true" for labels approved by a reviewer in the pull request of the branch, "false" for the others', required: false, type: 'string' }
+ * #swagger.parameters['q'] = { in: 'query', description: 'Text to search for, ignoring case', required: false, type: 'string' }
+ * #swagger.parameters['searchIn'] = { in: 'query', description: 'source, target or all (default)', required: false, type: 'string' }
+ * #swagger.parameters['sort'] = { in: 'query', description: 'path (default), name, source or target', required: false, type: 'string' }
+ * #swagger.parameters['order'] = { in: 'query', description: 'asc (default) or desc', required: false, type: 'string' }
+ * #swagger.parameters['limit'] = { in: 'query', description: 'Labels per page (default 50, at most 200)', required: false, type: 'number' }
+ * #swagger.parameters['cursor'] = { in: 'query', description: 'nextCursor of the previous page', required: false, type: 'string' }
+ * #swagger.responses[200] = {
+ *   description: 'One page of matching labels',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       total: { type: 'number', description: 'Number of matching labels' },
+ *       labels: { type: 'array', description: 'Per label: id, path, line, name, source, translations, provenance, changed and approved languages (null unless the changed or approved filter is used)' },
+ *       nextCursor: { type: 'string', description: 'Cursor of the next page, null on the last page' }
+ *     }
+ *   }
+ * }
+ */
+router.get(
+  "/labels",
+  validateGitHubToken,
+  validateQueryParams(["repo", "branch"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Filter, search, sort and page the labels of all label files of a branch, with the file path and line of each label'
+    const { repo, branch, ...options } = req.query;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      const result = await LabelQueryService.query(githubService, repo, branch, options);
+      res.json(result);
+    } catch (error) {
+      console.error("Error while querying labels:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/github/labels/history
+ * Change history of one label
+ * #swagger.description = 'Timeline of the translations of one label per language, rebuilt from the commits touching its label file: before and after values, author, commit, date and pull request'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['repo'] = { in: 'query', description: 'Repository name', required: true, type: 'string' }
+ * #swagger.parameters['branch'] = { in: 'query', description: 'Branch name', required: true, type: 'string' }
+ * #swagger.parameters['path'] = { in: 'query', description: 'Label file path', required: true, type: 'string' }
+ * #swagger.parameters['label'] = { in: 'query', description: 'Label name, or name.N for the Nth label of a repeated name such as altLabel.2', required: true, type: 'string' }
+ * #swagger.parameters['language'] = { in: 'query', description: 'Only the history of this language', required: false, type: 'string' }
+ * #swagger.parameters['limit'] = { in: 'query', description: 'Commits to walk back (default 30, at most 100)', required: false, type: 'number' }
+ * #swagger.responses[200] = {
+ *   description: 'History of the label',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       commits: { type: 'number', description: 'Number of commits walked' },
+ *       truncated: { type: 'boolean', description: 'Whether older commits were not walked' },
+ *       current: { type: 'object', description: 'Translations of the label in the newest revision' },
+ *       languages: { type: 'object', description: 'Per language, newest first: before, after, provenance, commit, author, date and pullRequest' }
+ *     }
+ *   }
+ * }
+ */
+router.get(
+  "/labels/history",
+  validateGitHubToken,
+  validateQueryParams(["repo", "branch", "path", "label"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Timeline of the translations of one label per language, rebuilt from the commits touching its label file: before and after values, author, commit, date and pull request'
+    const { repo, branch, path, label, language, limit } = req.query;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      const history = await LabelHistoryService.getLabelHistory(githubService, {
+        repo,
+        branch,
+        path,
+        label,
+        language,
+        limit,
+      });
+      res.json(history);
+    } catch (error) {
+      console.error("Error while retrieving label history:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.NOT_FOUND) {
+        return res.status(STATUS_CODES.NOT_FOUND).json({
+          error: "Not Found",
+          message: error.message,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/github/stats
+ * Translation coverage of a branch
+ * #swagger.description = 'Count per file and language the labels and items (prefLabel, altLabel, definition) that are translated, empty, changed versus main and approved'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['repo'] = { in: 'query', description: 'Repository name', required: true, type: 'string' }
+ * #swagger.parameters['branch'] = { in: 'query', description: 'Branch name (defaults to main)', required: false, type: 'string' }
+ * #swagger.responses[200] = {
+ *   description: 'Coverage of the branch',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       languages: { type: 'array', description: 'Target languages' },
+ *       totals: { type: 'object', description: 'Per language: total, translated, empty, changed, approved, progress and the same counts per item' },
+ *       byFile: { type: 'array', description: 'Per file: path, number of labels and the counts per language' }
+ *     }
+ *   }
+ * }
+ */
+router.get(
+  "/stats",
+  validateGitHubToken,
+  validateQueryParams(["repo"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Count per file and language the labels and items (prefLabel, altLabel, definition) that are translated, empty, changed versus main and approved'
+    const { repo, branch } = req.query;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      res.json(await StatsService.getRepositoryStats(githubService, repo, branch || "main"));
+    } catch (error) {
+      console.error("Error while computing translation stats:", error);
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/github/stats/org
+ * Translation coverage of all vocabulary repositories
+ * #swagger.description = 'Translation coverage of every vocabulary repository of the organization, rolled up per language'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['branch'] = { in: 'query', description: 'Branch name (defaults to main)', required: false, type: 'string' }
+ * #swagger.parameters['repos'] = { in: 'query', description: 'Comma-separated repositories instead of the whole organization', required: false, type: 'string' }
+ * #swagger.responses[200] = {
+ *   description: 'Coverage per repository and for the organization',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       repositories: { type: 'array', description: 'Per repository: languages, files, labels and totals per language' },
+ *       totals: { type: 'object', description: 'Counts per language across all repositories' },
+ *       skipped: { type: 'array', description: 'Repositories without config.yml or that failed, with the reason' }
+ *     }
+ *   }
+ * }
+ */
+router.get(
+  "/stats/org",
+  validateGitHubToken,
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Translation coverage of every vocabulary repository of the organization, rolled up per language'
+    const { branch, repos } = req.query;
+    const token = req.headers.authorization;
+
+    if ([branch, repos].some((value) => value !== undefined && typeof value !== "string")) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: ERROR_MESSAGES.INVALID_STATS_QUERY,
+      });
+    }
+
+    try {
+      const githubService = new GitHubService(token);
+      const stats = await StatsService.getOrganizationStats(githubService, {
+        branch: branch || "main",
+        repos: repos ? repos.split(",").map((repo) => repo.trim()).filter(Boolean) : undefined,
+      });
+      res.json(stats);
+    } catch (error) {
+      console.error("Error while computing organization stats:", error);
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/github/export
+ * Export the translations of a branch for CAT tools
+ * #swagger.description = 'Download the labels of all label files of a branch as XLIFF 2.0, TMX, CSV or gettext PO, with unit IDs made of file path and label name'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['repo'] = { in: 'query', description: 'Repository name', required: true, type: 'string' }
+ * #swagger.parameters['branch'] = { in: 'query', description: 'Branch name', required: true, type: 'string' }
+ * #swagger.parameters['format'] = { in: 'query', description: 'xliff, tmx, csv or po', required: true, type: 'string' }
+ * #swagger.parameters['target'] = { in: 'query', description: 'Target language; defaults to the config.yml target_languages (required for xliff and po when there are several)', required: false, type: 'string' }
+ * #swagger.responses[200] = {
+ *   description: 'Export file, sent as an attachment'
+ * }
+ */
+router.get(
+  "/export",
+  validateGitHubToken,
+  validateQueryParams(["repo", "branch", "format"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Download the labels of all label files of a branch as XLIFF 2.0, TMX, CSV or gettext PO, with unit IDs made of file path and label name'
+    const { repo, branch, format, target } = req.query;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      const file = await ExchangeService.exportBranch(githubService, {
+        repo,
+        branch,
+        format: String(format).toLowerCase(),
+        target,
+      });
+      res.set("Content-Type", file.contentType);
+      res.set("Content-Disposition", `attachment; filename="${file.filename}"`);
+      res.send(file.body);
+    } catch (error) {
+      console.error("Error while exporting translations:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/github/skos
+ * Render the translations of a branch as SKOS
+ * #swagger.description = 'Preview the SKOS concepts of a branch as Turtle, JSON-LD or RDF/XML, built from the config.yml base_uri and item paths with language-tagged literals'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['repo'] = { in: 'query', description: 'Repository name', required: true, type: 'string' }
+ * #swagger.parameters['branch'] = { in: 'query', description: 'Branch name', required: true, type: 'string' }
+ * #swagger.parameters['format'] = { in: 'query', description: 'turtle (default), jsonld or rdfxml', required: false, type: 'string' }
+ * #swagger.parameters['download'] = { in: 'query', description: 'Send the document as an attachment (true) instead of inline', required: false, type: 'boolean' }
+ * #swagger.responses[200] = {
+ *   description: 'RDF document with one skos:Concept per label file'
+ * }
+ */
+router.get(
+  "/skos",
+  validateGitHubToken,
+  validateQueryParams(["repo", "branch"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Preview the SKOS concepts of a branch as Turtle, JSON-LD or RDF/XML, built from the config.yml base_uri and item paths with language-tagged literals'
+    const { repo, branch, format, download } = req.query;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      const file = await SkosService.renderBranch(githubService, {
+        repo,
+        branch,
+        format: format ? String(format).toLowerCase() : "turtle",
+      });
+      res.set("Content-Type", file.contentType);
+      res.set(
+        "Content-Disposition",
+        `${download === "true" ? "attachment" : "inline"}; filename="${file.filename}"`
+      );
+      res.send(file.body);
+    } catch (error) {
+      console.error("Error while rendering SKOS:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/github/import
+ * Import translations from a CAT tool file
+ * #swagger.description = 'Map the units of an XLIFF, TMX or CSV file back to label files; preview the changes, or commit them to a key-prefixed branch with confirm'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     required: ['repo', 'branch', 'format', 'content'],
+ *     properties: {
+ *       repo: { type: 'string', description: 'Repository name' },
+ *       branch: { type: 'string', description: 'Branch starting with the key branch prefix' },
+ *       format: { type: 'string', description: 'xliff, tmx or csv' },
+ *       content: { type: 'string', description: 'Text of the file' },
+ *       target: { type: 'string', description: 'Only import this language' },
+ *       confirm: { type: 'boolean', description: 'Commit the changes instead of previewing them' },
+ *       message: { type: 'string', description: 'Commit message' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Preview (or commit) of the import',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       confirmed: { type: 'boolean', description: 'Whether the changes were committed' },
+ *       commit: { type: 'object', description: 'Created commit, null when nothing changed' },
+ *       files: { type: 'array', description: 'Per file: changes, changed lines and, in a preview, a unified diff' },
+ *       unmatched: { type: 'array', description: 'Units without a matching label' },
+ *       duplicates: { type: 'array', description: 'Units appearing more than once; the first one is used' },
+ *       sourceChanged: { type: 'array', description: 'Units whose source text no longer matches the label' },
+ *       summary: { type: 'object', description: 'Counts of units, matches, changes and reported units' }
+ *     }
+ *   }
+ * }
+ */
+router.post(
+  "/import",
+  validateGitHubToken,
+  validateBodyFields(["repo", "branch", "format", "content"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Map the units of an XLIFF, TMX or CSV file back to label files; preview the changes, or commit them to a key-prefixed branch with confirm'
+    const { repo, branch, format, content, target, confirm, message } = req.body;
+    const token = req.headers.authorization;
+
+    if (
+      [repo, branch, format, content].some((value) => typeof value !== "string") ||
+      [target, message].some((value) => value !== undefined && typeof value !== "string")
+    ) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: ERROR_MESSAGES.INVALID_IMPORT_FIELDS,
+      });
+    }
+
+    if (!branch.startsWith(process.env.GITHUB_KEY_BRANCH)) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: ERROR_MESSAGES.INVALID_BRANCH_PREFIX,
+      });
+    }
+
+    try {
+      const githubService = new GitHubService(token);
+      const result = await ExchangeService.importFile(githubService, {
+        repo,
+        branch,
+        format: format.toLowerCase(),
+        content,
+        target,
+        confirm: confirm === true,
+        message,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error("Error while importing translations:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.CONFLICT) {
+        return res.status(STATUS_CODES.CONFLICT).json({
+          error: "Conflict",
+          message: error.message,
+        });
+      }
+
+      if (error.validationErrors) {
+        return res.status(STATUS_CODES.UNPROCESSABLE_ENTITY).json({
+          error: "Unprocessable Entity",
+          message: error.message,
+          files: error.validationErrors,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
 /**
  * GET /api/github/user
  * Get current GitHub user information
@@ -297,14 +850,14 @@ router.get(
     } catch (error) {
       console.error("Error reading reviewers.json:", error);
 
-      if (error.message.includes("not found")) {
+      if (error.status === STATUS_CODES.NOT_FOUND) {
         return res.status(STATUS_CODES.NOT_FOUND).json({
           error: "Reviewers Not Found",
           message: ERROR_MESSAGES.REVIEWERS_NOT_FOUND,
         });
       }
 
-      if (error.message.includes("No valid reviewers")) {
+      if (error.status === STATUS_CODES.UNPROCESSABLE_ENTITY) {
         return res.status(STATUS_CODES.BAD_REQUEST).json({
           error: "Bad Request",
           message: ERROR_MESSAGES.NO_VALID_REVIEWERS,
@@ -406,26 +959,284 @@ router.get(
  * Check for conflicts between branch and main
  * #swagger.description = 'Check for conflicts between branch and main'
  */
-router.get(
-  "/conflicts",
+router.get(
+  "/conflicts",
+  validateGitHubToken,
+  validateQueryParams(["repo", "branch"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    const { repo, branch } = req.query;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      const conflicts = await githubService.getConflicts(repo, branch);
+
+      if (conflicts.length === 0) {
+        return res.status(STATUS_CODES.NO_CONTENT).send("No conflicts found");
+      }
+
+      res.json(conflicts);
+    } catch (error) {
+      console.error("Error while checking conflicts:", error);
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * Whether translation update provenance ({ label: { language: { origin } } }
+ * and that of new labels) names an unknown origin
+ */
+function hasInvalidProvenance(provenance, newLabels = []) {
+  return [
+    ...Object.values(provenance || {}).flatMap((languages) => Object.values(languages || {})),
+    ...newLabels.flatMap((label) => Object.values(label.provenance || {})),
+  ].some((record) => !PROVENANCE_ORIGINS.includes(record?.origin));
+}
+
+/**
+ * PUT /api/github/update
+ * Update file with translations
+ * Optional provenance: { [label]: { [language]: { origin, provider } } } marks
+ * accepted suggestions; other changed translations are recorded as human
+ * Languages a label lacks are added; optional newLabels
+ * ([{ name, translations, provenance }]) appends labels such as extra altLabels
+ * Responds with the GitHub commit, the changed line numbers of the file and a
+ * per-label report of added, updated, unchanged and rejected languages
+ * Optional baseSha (the X-File-Sha of GET /content) enables a three-way merge
+ * when the file changed meanwhile: edits that overlap a change on the branch
+ * are not written and come back in a 409 listing the conflicts, next to the
+ * result of the edits that were applied
+ */
+router.put(
+  "/update",
+  validateGitHubToken,
+  validateBodyFields(["repo", "translations", "branch", "filename"]),
+  validateWorkflowScopeConditional,
+  validateGitHubOwner,
+  async (req, res) => {
+    const {
+      repo,
+      translations,
+      branch,
+      filename,
+      provenance,
+      newLabels = [],
+      baseSha,
+    } = req.body;
+    const token = req.headers.authorization;
+
+    if (
+      !Array.isArray(newLabels) ||
+      newLabels.some((label) => !label || typeof label.name !== "string")
+    ) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: ERROR_MESSAGES.NEW_LABELS_MUST_BE_ARRAY,
+      });
+    }
+
+    if (hasInvalidProvenance(provenance, newLabels)) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: `${ERROR_MESSAGES.INVALID_PROVENANCE} Allowed origins: ${PROVENANCE_ORIGINS.join(", ")}.`,
+      });
+    }
+
+    try {
+      const githubService = new GitHubService(token);
+      const response = await githubService.updateFileWithTranslations(
+        repo,
+        translations,
+        branch,
+        filename,
+        provenance,
+        newLabels,
+        baseSha
+      );
+      const result = {
+        ...response.data,
+        lines: response.lines,
+        report: response.report,
+        merge: response.merge,
+      };
+
+      if (response.merge?.conflicts.length > 0) {
+        return res.status(STATUS_CODES.CONFLICT).json({
+          error: "Conflict",
+          message: ERROR_MESSAGES.TRANSLATION_CONFLICTS,
+          ...result,
+        });
+      }
+      res.json(result);
+    } catch (error) {
+      console.error("Error while updating file:", error);
+
+      if (error.status === STATUS_CODES.NOT_FOUND) {
+        return res.status(STATUS_CODES.NOT_FOUND).json({
+          error: "Not Found",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.CONFLICT) {
+        return res.status(STATUS_CODES.CONFLICT).json({
+          error: "Conflict",
+          message: error.message,
+        });
+      }
+
+      if (error.validationErrors) {
+        return res.status(STATUS_CODES.UNPROCESSABLE_ENTITY).json({
+          error: "Unprocessable Entity",
+          message: error.message,
+          files: error.validationErrors,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message:
+            error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/github/update/batch
+ * Update translations of many label files of a branch in one atomic commit
+ * #swagger.description = 'Apply translation edits to several label files and commit them in a single commit; either all files change or none'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     required: ['repo', 'branch', 'files'],
+ *     properties: {
+ *       repo: { type: 'string', description: 'Repository name' },
+ *       branch: { type: 'string', description: 'Branch to commit to' },
+ *       files: {
+ *         type: 'array',
+ *         description: 'Per label file: filename, translations ({ label: { language: value } }) and optional provenance, newLabels and baseSha, as for PUT /update'
+ *       },
+ *       message: { type: 'string', description: 'Commit message; defaults to a list of the changed labels per file' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Files updated in one commit (commit is null when nothing changed)',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       commit: { type: 'object', description: 'sha, url and parent of the commit' },
+ *       files: { type: 'array', description: 'Per file: filename, changed, lines and per-label report' },
+ *       summary: { type: 'object', description: 'Files, changed files and added, updated, rejected and conflicting translations' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[409] = {
+ *   description: 'The branch moved while the commit was being built and nothing was written, or files changed since their baseSha: the non-overlapping edits were committed and files[].merge.conflicts lists the others'
+ * }
+ * #swagger.responses[422] = {
+ *   description: 'A file does not match the label file schema; nothing was written'
+ * }
+ */
+router.put(
+  "/update/batch",
   validateGitHubToken,
-  validateQueryParams(["repo", "branch"]),
+  validateBodyFields(["repo", "branch", "files"]),
   validateGitHubOwner,
   async (req, res) => {
-    const { repo, branch } = req.query;
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Apply translation edits to several label files and commit them in a single commit; either all files change or none'
+    const { repo, branch, files, message } = req.body;
     const token = req.headers.authorization;
 
+    const filenames = Array.isArray(files) ? files.map((file) => file?.filename) : [];
+    const hasInvalidFiles =
+      filenames.length === 0 ||
+      filenames.some((filename) => typeof filename !== "string" || !isLabelFilePath(filename)) ||
+      new Set(filenames).size !== filenames.length ||
+      files.some(
+        (file) =>
+          (file.newLabels !== undefined && !Array.isArray(file.newLabels)) ||
+          (file.newLabels || []).some((label) => !label || typeof label.name !== "string")
+      );
+    if (hasInvalidFiles) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: ERROR_MESSAGES.FILES_MUST_BE_ARRAY,
+      });
+    }
+
+    if (files.some((file) => hasInvalidProvenance(file.provenance, file.newLabels))) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: `${ERROR_MESSAGES.INVALID_PROVENANCE} Allowed origins: ${PROVENANCE_ORIGINS.join(", ")}.`,
+      });
+    }
+
     try {
       const githubService = new GitHubService(token);
-      const conflicts = await githubService.getConflicts(repo, branch);
+      const result = await githubService.updateFilesWithTranslations(
+        repo,
+        branch,
+        files,
+        message
+      );
 
-      if (conflicts.length === 0) {
-        return res.status(STATUS_CODES.NO_CONTENT).send("No conflicts found");
+      if (result.summary.conflicts > 0) {
+        return res.status(STATUS_CODES.CONFLICT).json({
+          error: "Conflict",
+          message: ERROR_MESSAGES.TRANSLATION_CONFLICTS,
+          ...result,
+        });
       }
-
-      res.json(conflicts);
+      res.json(result);
     } catch (error) {
-      console.error("Error while checking conflicts:", error);
+      console.error("Error while updating files:", error);
+
+      if (error.status === STATUS_CODES.CONFLICT) {
+        return res.status(STATUS_CODES.CONFLICT).json({
+          error: "Conflict",
+          message: error.message,
+        });
+      }
+
+      if (error.validationErrors) {
+        return res.status(STATUS_CODES.UNPROCESSABLE_ENTITY).json({
+          error: "Unprocessable Entity",
+          message: error.message,
+          files: error.validationErrors,
+        });
+      }
 
       if (error.response) {
         return res.status(error.response.status).json({
@@ -435,6 +1246,13 @@ router.get(
         });
       }
 
+      if (error.message.includes("not found")) {
+        return res.status(STATUS_CODES.NOT_FOUND).json({
+          error: "Not Found",
+          message: error.message,
+        });
+      }
+
       res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
         error: "Internal Server Error",
         message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
@@ -444,30 +1262,57 @@ router.get(
 );
 
 /**
- * PUT /api/github/update
- * Update file with translations
+ * POST /api/github/validate
+ * Validate the label files and config.yml of a branch against their schemas
+ * #swagger.description = 'Validate label YAML files and config.yml of a branch, reporting line-numbered errors'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     required: ['repo', 'branch'],
+ *     properties: {
+ *       repo: { type: 'string', description: 'Repository name' },
+ *       branch: { type: 'string', description: 'Branch to validate' },
+ *       path: { type: 'string', description: 'Validate only this file' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Validation report',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       valid: { type: 'boolean', description: 'Whether every file matches its schema' },
+ *       files: { type: 'array', description: 'Per file: path, type (label or config), valid and errors with line, column, path and message' },
+ *       summary: { type: 'object', description: 'Number of files, invalid files and errors' }
+ *     }
+ *   }
+ * }
  */
-router.put(
-  "/update",
+router.post(
+  "/validate",
   validateGitHubToken,
-  validateBodyFields(["repo", "translations", "branch", "filename"]),
-  validateWorkflowScopeConditional,
+  validateBodyFields(["repo", "branch"]),
   validateGitHubOwner,
   async (req, res) => {
-    const { repo, translations, branch, filename } = req.body;
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Validate label YAML files and config.yml of a branch, reporting line-numbered errors'
+    const { repo, branch, path } = req.body;
     const token = req.headers.authorization;
 
     try {
       const githubService = new GitHubService(token);
-      const response = await githubService.updateFileWithTranslations(
-        repo,
-        translations,
-        branch,
-        filename
-      );
-      res.json(response.data);
+      const report = await githubService.validateFiles(repo, branch, path);
+      res.json(report);
     } catch (error) {
-      console.error("Error while updating file:", error);
+      console.error("Error while validating files:", error);
 
       if (error.response) {
         return res.status(error.response.status).json({
@@ -477,6 +1322,13 @@ router.put(
         });
       }
 
+      if (error.message.includes("not found")) {
+        return res.status(STATUS_CODES.NOT_FOUND).json({
+          error: "Not Found",
+          message: error.message,
+        });
+      }
+
       res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
         error: "Internal Server Error",
         message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
@@ -770,6 +1622,276 @@ router.post(
   }
 );
 
+/**
+ * Respond with the right status for errors raised by the glossary routes
+ */
+function handleGlossaryError(res, error) {
+  if (error.status === STATUS_CODES.BAD_REQUEST) {
+    return res.status(STATUS_CODES.BAD_REQUEST).json({
+      error: "Bad Request",
+      message: error.message,
+    });
+  }
+
+  if (error.status === STATUS_CODES.UNPROCESSABLE_ENTITY) {
+    return res.status(STATUS_CODES.UNPROCESSABLE_ENTITY).json({
+      error: "Unprocessable Entity",
+      message: error.message,
+    });
+  }
+
+  if (error.response) {
+    return res.status(error.response.status).json({
+      error: "GitHub API Error",
+      message: error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+    });
+  }
+
+
+  res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+    error: "Internal Server Error",
+    message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+  });
+}
+
+/**
+ * Reject the request unless the authenticated user is a reviewer of the repository
+ */
+async function ensureReviewer(githubService, repo, res) {
+  if (await githubService.isReviewer(repo)) {
+    return true;
+  }
+  res.status(STATUS_CODES.FORBIDDEN).json({
+    error: "Forbidden",
+    message: ERROR_MESSAGES.GLOSSARY_REVIEWER_REQUIRED,
+  });
+  return false;
+}
+
+/**
+ * GET /api/github/glossary
+ * Get the terminology glossary of a repository
+ * #swagger.description = 'Get the glossary.json terms of a repository'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['repo'] = {
+ *   in: 'query',
+ *   description: 'Repository name',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['branch'] = {
+ *   in: 'query',
+ *   description: 'Branch to read the glossary from (defaults to main)',
+ *   required: false,
+ *   type: 'string'
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Glossary retrieved successfully',
+ *   schema: {
+ *     type: 'array',
+ *     items: {
+ *       type: 'object',
+ *       properties: {
+ *         term: { type: 'string', description: 'Source language term' },
+ *         translations: { type: 'object', description: 'Mandated term (or accepted variants) per target language' },
+ *         note: { type: 'string', description: 'Usage note for translators' }
+ *       }
+ *     }
+ *   }
+ * }
+ */
+router.get(
+  "/glossary",
+  validateGitHubToken,
+  validateQueryParams(["repo"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Get the glossary.json terms of a repository'
+    const { repo, branch } = req.query;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      const glossary = await githubService.getGlossary(repo, branch || "main");
+      res.json(glossary.entries);
+    } catch (error) {
+      console.error("Error reading glossary.json:", error);
+      handleGlossaryError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/github/glossary
+ * Replace the terminology glossary of a repository
+ * #swagger.description = 'Replace all glossary.json terms of a repository (reviewers only)'
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     required: ['repo', 'entries'],
+ *     properties: {
+ *       repo: { type: 'string', description: 'Repository name' },
+ *       branch: { type: 'string', description: 'Branch to write to (defaults to main)' },
+ *       entries: { type: 'array', description: 'Glossary entries' }
+ *     }
+ *   }
+ * }
+ */
+router.put(
+  "/glossary",
+  validateGitHubToken,
+  validateBodyFields(["repo", "entries"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Replace all glossary.json terms of a repository (reviewers only)'
+    const { repo, entries, branch } = req.body;
+    const token = req.headers.authorization;
+
+    try {
+      const normalized = GlossaryService.validateEntries(entries);
+      const githubService = new GitHubService(token);
+      if (!(await ensureReviewer(githubService, repo, res))) {
+        return;
+      }
+
+      const result = await githubService.saveGlossary(
+        repo,
+        normalized,
+        branch || "main",
+        `Update glossary (${normalized.length} terms)`
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Error updating glossary.json:", error);
+      handleGlossaryError(res, error);
+    }
+  }
+);
+
+/**
+ * PUT /api/github/glossary/terms
+ * Add or update a single glossary term
+ * #swagger.description = 'Add or update one glossary term (reviewers only)'
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     required: ['repo', 'term', 'translations'],
+ *     properties: {
+ *       repo: { type: 'string', description: 'Repository name' },
+ *       branch: { type: 'string', description: 'Branch to write to (defaults to main)' },
+ *       term: { type: 'string', description: 'Source language term', example: 'salinity' },
+ *       translations: { type: 'object', description: 'Mandated term per language', example: { fr: 'salinité' } },
+ *       note: { type: 'string', description: 'Usage note for translators' }
+ *     }
+ *   }
+ * }
+ */
+router.put(
+  "/glossary/terms",
+  validateGitHubToken,
+  validateBodyFields(["repo", "term", "translations"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Add or update one glossary term (reviewers only)'
+    const { repo, branch, term, translations, note } = req.body;
+    const token = req.headers.authorization;
+
+    if (typeof term !== "string" || !term.trim()) {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: ERROR_MESSAGES.GLOSSARY_TERM_REQUIRED,
+      });
+    }
+
+    try {
+      const githubService = new GitHubService(token);
+      if (!(await ensureReviewer(githubService, repo, res))) {
+        return;
+      }
+
+      const { entries } = await githubService.getGlossary(repo, branch || "main");
+      const updated = entries.filter(
+        (entry) => entry.term.toLowerCase() !== term.trim().toLowerCase()
+      );
+      updated.push({ term, translations, ...(note ? { note } : {}) });
+
+      const normalized = GlossaryService.validateEntries(updated);
+      const result = await githubService.saveGlossary(
+        repo,
+        normalized,
+        branch || "main",
+        `Update glossary term "${term.trim()}"`
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Error updating glossary term:", error);
+      handleGlossaryError(res, error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/github/glossary/terms/:term
+ * Remove a glossary term
+ * #swagger.description = 'Remove one glossary term (reviewers only)'
+ */
+router.delete(
+  "/glossary/terms/:term",
+  validateGitHubToken,
+  validateQueryParams(["repo"]),
+  validateRouteParams(["term"]),
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['GitHub']
+    // #swagger.description = 'Remove one glossary term (reviewers only)'
+    const { term } = req.params;
+    const { repo, branch } = req.query;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      if (!(await ensureReviewer(githubService, repo, res))) {
+        return;
+      }
+
+      const { entries } = await githubService.getGlossary(repo, branch || "main");
+      const remaining = entries.filter(
+        (entry) => entry.term.toLowerCase() !== term.toLowerCase()
+      );
+
+      if (remaining.length === entries.length) {
+        return res.status(STATUS_CODES.NOT_FOUND).json({
+          error: "Not Found",
+          message: ERROR_MESSAGES.GLOSSARY_TERM_NOT_FOUND,
+        });
+      }
+
+      await githubService.saveGlossary(
+        repo,
+        remaining,
+        branch || "main",
+        `Remove glossary term "${term}"`
+      );
+      res.status(STATUS_CODES.NO_CONTENT).send();
+    } catch (error) {
+      console.error("Error removing glossary term:", error);
+      handleGlossaryError(res, error);
+    }
+  }
+);
+
 // Organization Management Routes
 
 /**
@@ -1127,7 +2249,7 @@ router.post(
  *       },
  *       languageTag: {
  *         type: 'string',
- *         description: 'Language tag (e.g., en, nl, es)',
+ *         description: 'BCP 47 language tag (e.g., nl, pt-BR, zh-Hant)',
  *         example: 'nl'
  *       }
  *     }
@@ -1163,7 +2285,7 @@ router.post(
   async (req, res) => {
     // #swagger.tags = ['Repository']
     // #swagger.description = 'Create a new repository in the organization with initial config and workflows'
-    const { vocabularyName, languageTag } = req.body;
+    const { vocabularyName } = req.body;
     const token = req.headers.authorization;
 
     // Validate input format
@@ -1174,10 +2296,11 @@ router.post(
       });
     }
 
-    if (!/^[a-z]{2,3}$/.test(languageTag)) {
+    const languageTag = canonicalizeLanguageTag(req.body.languageTag);
+    if (!languageTag) {
       return res.status(STATUS_CODES.BAD_REQUEST).json({
         error: "Bad Request", 
-        message: "languageTag must be a valid language code (2-3 lowercase letters)"
+        message: ERROR_MESSAGES.INVALID_LANGUAGE_TAG
       });
     }
 
@@ -0,0 +1,56 @@
+import express from "express";
+import { getLanguage, listLanguages } from "../utils/languages.js";
+import { ERROR_MESSAGES, STATUS_CODES } from "../utils/constants.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/languages
+ * Get the languages offered for translation
+ * #swagger.tags = ['Languages']
+ * #swagger.description = 'List the languages offered for translation with BCP 47 tag, names, script, text direction and provider codes'
+ * #swagger.responses[200] = {
+ *   description: 'Languages retrieved successfully',
+ *   schema: {
+ *     type: 'array',
+ *     items: {
+ *       type: 'object',
+ *       properties: {
+ *         tag: { type: 'string', description: 'Canonical BCP 47 tag, e.g. pt-BR' },
+ *         name: { type: 'string', description: 'English display name' },
+ *         nativeName: { type: 'string', description: 'Name in the language itself' },
+ *         script: { type: 'string', description: 'ISO 15924 script code, e.g. Latn' },
+ *         direction: { type: 'string', description: 'ltr or rtl' },
+ *         providerCodes: { type: 'object', description: 'Code used for the language by each translation provider' }
+ *       }
+ *     }
+ *   }
+ * }
+ */
+router.get("/languages", (req, res) => {
+  // #swagger.tags = ['Languages']
+  // #swagger.description = 'List the languages offered for translation with BCP 47 tag, names, script, text direction and provider codes'
+  res.json(listLanguages());
+});
+
+/**
+ * GET /api/languages/:tag
+ * Describe any BCP 47 language tag
+ * #swagger.tags = ['Languages']
+ * #swagger.description = 'Validate and describe a BCP 47 language tag, returning its canonical form'
+ * #swagger.parameters['tag'] = { in: 'path', description: 'BCP 47 language tag, e.g. pt-br or zh-Hant', required: true, type: 'string' }
+ */
+router.get("/languages/:tag", (req, res) => {
+  // #swagger.tags = ['Languages']
+  // #swagger.description = 'Validate and describe a BCP 47 language tag, returning its canonical form'
+  const language = getLanguage(req.params.tag);
+  if (!language) {
+    return res.status(STATUS_CODES.BAD_REQUEST).json({
+      error: "Bad Request",
+      message: ERROR_MESSAGES.INVALID_LANGUAGE_TAG,
+    });
+  }
+  res.json(language);
+});
+
+export default router;
@@ -1,15 +1,117 @@
 import express from 'express';
 import { TranslationService } from '../services/translationService.js';
-import { ERROR_MESSAGES, STATUS_CODES } from '../utils/constants.js';
-import { validateBodyFields } from '../middleware/validation.js';
+import { TranslationMemoryService } from '../services/translationMemoryService.js';
+import { SuggestionCacheService } from '../services/suggestionCacheService.js';
+import { QaService } from '../services/qaService.js';
+import { PretranslationService } from '../services/pretranslationService.js';
+import { QuotaService } from '../services/quotaService.js';
+import { GitHubService } from '../services/githubService.js';
+import { getConfigSourceLanguage, getLabelContext } from '../utils/labelFile.js';
+import { ERROR_MESSAGES, STATUS_CODES, TRANSLATION_DEFAULTS } from '../utils/constants.js';
+import {
+  validateBodyFields,
+  validateGitHubToken,
+  validateGitHubOwner,
+  validateQueryParams,
+  validateOrgAdmin,
+  validateOrgMember,
+} from '../middleware/validation.js';
+import { enforceTranslationQuota } from '../middleware/quota.js';
 
 const router = express.Router();
 
+const textLength = (value) => (typeof value === "string" ? value.length : 0);
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = STATUS_CODES.BAD_REQUEST;
+  return error;
+}
+
+/**
+ * Run check(req.body) before the quota middleware so that invalid requests
+ * answer 400 without being charged; check throws errors with status 400
+ */
+const validateRequest = (check) => (req, res, next) => {
+  try {
+    check(req.body || {});
+  } catch (error) {
+    if (error.status !== STATUS_CODES.BAD_REQUEST) {
+      return next(error);
+    }
+    return res.status(STATUS_CODES.BAD_REQUEST).json({
+      error: "Bad Request",
+      message: error.message,
+    });
+  }
+  next();
+};
+
+/**
+ * Load the glossary and config.yml source language of the repository named
+ * in the request body, if any, along with the GitHubService used to read it
+ * Reading a repository requires a GitHub token in the authorization header
+ */
+async function loadRequestRepository(req) {
+  const { repo } = req.body;
+  if (!repo) {
+    return {};
+  }
+
+  const token = req.headers.authorization;
+  if (!token) {
+    const error = new Error(ERROR_MESSAGES.UNAUTHORIZED);
+    error.status = STATUS_CODES.UNAUTHORIZED;
+    throw error;
+  }
+
+  const githubService = new GitHubService(token);
+  const [glossary, config] = await Promise.all([
+    githubService.getGlossary(repo),
+    githubService.getRepositoryConfig(repo),
+  ]);
+  return {
+    githubService,
+    glossary: glossary.entries,
+    defaultSource: getConfigSourceLanguage(config) || undefined,
+  };
+}
+
+/**
+ * Load the definition and sibling labels of the label named in the request
+ * body from its YAML file, in the source language
+ */
+async function loadLabelContext(githubService, { repo, file, label, branch = "main" }, source) {
+  if (!file && !label) {
+    return null;
+  }
+  if (!repo || !file || !label) {
+    const error = new Error(ERROR_MESSAGES.CONTEXT_FIELDS_REQUIRED);
+    error.status = STATUS_CODES.BAD_REQUEST;
+    throw error;
+  }
+
+  const content = await githubService.getFileContent(repo, file, branch);
+  const labels = getLabelContext(content, label, source);
+  if (!labels) {
+    const error = new Error(`${ERROR_MESSAGES.LABEL_NOT_FOUND} (${label})`);
+    error.status = STATUS_CODES.NOT_FOUND;
+    throw error;
+  }
+  return { repo, file, branch, label, labels };
+}
+
 /**
  * POST /api/translation/suggestions
  * Get translation suggestions for given text
  * #swagger.tags = ['Translation']
  * #swagger.description = 'Get AI-powered translation suggestions for given text'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication; identifies the user for the daily translation quota',
+ *   required: true,
+ *   type: 'string'
+ * }
  * #swagger.parameters['body'] = {
  *   in: 'body',
  *   description: 'Text to translate and target language',
@@ -25,6 +127,47 @@ const router = express.Router();
  *       target: {
  *         type: 'string',
  *         description: 'Target language code (e.g., "en", "fr", "es")'
+ *       },
+ *       source: {
+ *         type: 'string',
+ *         description: 'Source language code; defaults to the repo config.yml sources[].language, else auto-detected'
+ *       },
+ *       provider: {
+ *         type: 'string',
+ *         description: 'Preferred provider (google, deepl, libretranslate, local, stub); falls back along the configured chain'
+ *       },
+ *       useMemory: {
+ *         type: 'boolean',
+ *         description: 'Look up the translation memory before machine translation (default true)'
+ *       },
+ *       repo: {
+ *         type: 'string',
+ *         description: 'Repository whose glossary.json and config.yml source language are used (requires authorization header)'
+ *       },
+ *       useCache: {
+ *         type: 'boolean',
+ *         description: 'Serve machine translations from the suggestion cache when available (default true)'
+ *       },
+ *       providers: {
+ *         type: 'array',
+ *         items: { type: 'string' },
+ *         description: 'Ask each of these providers (without fallback) and rank their outputs against each other'
+ *       },
+ *       nBest: {
+ *         type: 'number',
+ *         description: 'Maximum number of ranked candidates to return (default 5)'
+ *       },
+ *       file: {
+ *         type: 'string',
+ *         description: 'Label file in repo holding the text; with label, its definition and sibling labels are used as context'
+ *       },
+ *       label: {
+ *         type: 'string',
+ *         description: 'Name of the label being translated (e.g. "prefLabel")'
+ *       },
+ *       branch: {
+ *         type: 'string',
+ *         description: 'Branch to read the label file from (default main)'
  *       }
  *     }
  *   }
@@ -34,27 +177,886 @@ const router = express.Router();
  *   schema: {
  *     type: 'object',
  *     properties: {
- *       suggestion: { type: 'string', description: 'Translated text suggestion' },
- *       confidence: { type: 'number', description: 'Translation confidence score' }
+ *       suggestion: { type: 'string', description: 'Best ranked candidate' },
+ *       confidence: { type: 'number', description: 'Confidence of the best candidate between 0 and 1' },
+ *       provider: { type: 'string', description: 'Origin of the best candidate: provider name, translation-memory or glossary' },
+ *       candidates: { type: 'array', description: 'Ranked candidates with text, confidence and origins' },
+ *       cached: { type: 'boolean', description: 'Whether the machine translation came from the suggestion cache' },
+ *       source: { type: 'string', description: 'Source language used or detected' },
+ *       sourceOrigin: { type: 'string', description: 'request, config or detected' },
+ *       failedProviders: { type: 'array', description: 'Providers tried before it that failed' },
+ *       memoryMatches: { type: 'array', description: 'Exact and fuzzy translation memory matches with score and origin' },
+ *       glossary: { type: 'object', description: 'Glossary terms found in the source and whether the suggestion uses the mandated terms' },
+ *       context: { type: 'object', description: 'With file and label: the sibling labels used as context, the providers that received it and the definition translation used for ranking' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[404] = {
+ *   description: 'Label not found in the file'
+ * }
+ */
+router.post(
+  "/suggestions",
+  validateBodyFields(['text', 'target']),
+  validateRequest(({ target, source, provider, providers }) => {
+    if (providers !== undefined && !Array.isArray(providers)) {
+      throw badRequest(ERROR_MESSAGES.PROVIDERS_MUST_BE_ARRAY);
+    }
+    TranslationService.validateOptions({ target, source, provider, providers });
+  }),
+  // Every requested provider translates the text, and the definition of the
+  // label, when there is one, is translated once more for ranking; the route
+  // reuses the repository and label context read to count it
+  enforceTranslationQuota(async (req) => {
+    const { text, source, providers, repo, file, label, branch } = req.body;
+    const repository = await loadRequestRepository(req);
+    const context = await loadLabelContext(
+      repository.githubService,
+      { repo, file, label, branch },
+      source || repository.defaultSource || "en"
+    );
+    req.suggestionRepository = { ...repository, context };
+    return (
+      textLength(text) * (Array.isArray(providers) ? Math.max(1, providers.length) : 1) +
+      textLength(context?.labels.definition)
+    );
+  }),
+  async (req, res) => {
+    // #swagger.tags = ['Translation']
+    // #swagger.description = 'Get AI-powered translation suggestions for given text'
+    console.log(req.body);
+    const { text, target, source, provider, providers, nBest, useMemory, useCache } = req.body;
+
+    try {
+      const { glossary, defaultSource, context } = req.suggestionRepository;
+      const result = await TranslationService.getSuggestion(text, target, {
+        source: source || defaultSource,
+        sourceOrigin: source ? "request" : "config",
+        provider,
+        providers,
+        nBest,
+        useMemory,
+        useCache,
+        glossary,
+        context: context?.labels,
+      });
+      if (context) {
+        const { labels, ...location } = context;
+        result.context = { ...location, ...result.context };
+      }
+      console.log(result.suggestion);
+      res.json(result);
+    } catch (error) {
+      console.error("Error during translation:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.NOT_FOUND) {
+        return res.status(STATUS_CODES.NOT_FOUND).json({
+          error: "Not Found",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.UNAUTHORIZED) {
+        return res.status(STATUS_CODES.UNAUTHORIZED).json({
+          error: "Unauthorized",
+          message: error.message,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message: error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Translation Error",
+        message: ERROR_MESSAGES.TRANSLATION_ERROR,
+        failedProviders: error.failedProviders,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/translation/suggestions/batch
+ * Get translation suggestions for many labels in one request
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Get translation suggestions for a batch of items, deduplicating identical texts'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication; identifies the user for the daily translation quota',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   description: 'Items to translate',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     required: ['items'],
+ *     properties: {
+ *       items: {
+ *         type: 'array',
+ *         items: {
+ *           type: 'object',
+ *           properties: {
+ *             id: { type: 'string', description: 'Client identifier echoed back in the result' },
+ *             text: { type: 'string', description: 'Text to be translated' },
+ *             source: { type: 'string', description: 'Source language code' },
+ *             target: { type: 'string', description: 'Target language code' }
+ *           }
+ *         }
+ *       },
+ *       provider: { type: 'string', description: 'Preferred provider for the whole batch' },
+ *       repo: { type: 'string', description: 'Repository whose glossary.json and config.yml source language apply to every item' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Batch processed; individual failures are reported per item',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       results: { type: 'array', description: 'One result or error per item, in request order' },
+ *       summary: { type: 'object', description: 'Total, unique, succeeded and failed counts' }
+ *     }
+ *   }
+ * }
+ */
+router.post(
+  "/suggestions/batch",
+  validateRequest(({ items, provider }) => {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw badRequest(ERROR_MESSAGES.BATCH_ITEMS_REQUIRED);
+    }
+    const maxItems =
+      Number(process.env.TRANSLATION_BATCH_MAX_ITEMS) ||
+      TRANSLATION_DEFAULTS.BATCH_MAX_ITEMS;
+    if (items.length > maxItems) {
+      throw badRequest(`${ERROR_MESSAGES.BATCH_TOO_LARGE} Maximum is ${maxItems}.`);
+    }
+    TranslationService.validateOptions({ provider });
+  }),
+  // Identical items are translated once; items without text or target are
+  // reported per item and not translated
+  enforceTranslationQuota((req) => {
+    const keys = new Set(
+      req.body.items.map((item) => TranslationService.getBatchKey(item)).filter(Boolean)
+    );
+    return [...keys].reduce((sum, key) => sum + textLength(JSON.parse(key)[0]), 0);
+  }),
+  async (req, res) => {
+    // #swagger.tags = ['Translation']
+    // #swagger.description = 'Get translation suggestions for a batch of items, deduplicating identical texts'
+    const { items, provider } = req.body;
+
+    try {
+      const { glossary, defaultSource } = await loadRequestRepository(req);
+      const result = await TranslationService.getBatchSuggestions(items, {
+        provider,
+        glossary,
+        defaultSource,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error("Error during batch translation:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.UNAUTHORIZED) {
+        return res.status(STATUS_CODES.UNAUTHORIZED).json({
+          error: "Unauthorized",
+          message: error.message,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message: error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Translation Error",
+        message: ERROR_MESSAGES.TRANSLATION_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/translation/pretranslate
+ * Machine pre-translate every empty entry of a language in a branch
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Fill all empty entries of the target language in the label files of a key-prefixed branch from the suggestion pipeline and commit them in one commit'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   description: 'Branch and language to pre-translate',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     required: ['repo', 'branch', 'target'],
+ *     properties: {
+ *       repo: { type: 'string', description: 'Repository name' },
+ *       branch: { type: 'string', description: 'Branch starting with the key branch prefix' },
+ *       target: { type: 'string', description: 'Language whose empty entries are filled' },
+ *       provider: { type: 'string', description: 'Preferred translation provider' },
+ *       dryRun: { type: 'boolean', description: 'Return the suggestions without committing' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Empty entries filled and committed',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       commit: { type: 'object', description: 'Created commit sha and url, null on dry run or when nothing was filled' },
+ *       filled: { type: 'array', description: 'Filled entries with file, label, translation, provider and confidence' },
+ *       failed: { type: 'array', description: 'Entries that could not be translated' },
+ *       conflicts: { type: 'array', description: 'Entries filled by someone else meanwhile, left as they are' },
+ *       summary: { type: 'object', description: 'Files, changed files, empty, filled and failed counts' }
  *     }
  *   }
  * }
  */
-router.post("/suggestions", validateBodyFields(['text', 'target']), async (req, res) => {
+router.post(
+  "/pretranslate",
+  validateGitHubToken,
+  validateBodyFields(["repo", "branch", "target"]),
+  validateGitHubOwner,
+  validateRequest(({ branch, target, provider }) => {
+    if (!branch.startsWith(process.env.GITHUB_KEY_BRANCH)) {
+      throw badRequest(ERROR_MESSAGES.INVALID_BRANCH_PREFIX);
+    }
+    TranslationService.validateOptions({ target, provider });
+  }),
+  // One request for the whole branch, charged the source texts of the
+  // entries it fills; the route reuses the branch read to count them
+  enforceTranslationQuota(async (req) => {
+    const { repo, branch, target } = req.body;
+    req.pretranslation = await PretranslationService.collectSlots(
+      new GitHubService(req.headers.authorization),
+      { repo, branch, target }
+    );
+    return req.pretranslation.slots.reduce((sum, slot) => sum + slot.text.length, 0);
+  }),
+  async (req, res) => {
+    // #swagger.tags = ['Translation']
+    // #swagger.description = 'Fill all empty entries of the target language in the label files of a key-prefixed branch from the suggestion pipeline and commit them in one commit'
+    const { repo, branch, target, provider, dryRun } = req.body;
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      const result = await PretranslationService.pretranslateBranch(
+        githubService,
+        {
+          repo,
+          branch,
+          target,
+          provider,
+          dryRun: dryRun === true,
+        },
+        req.pretranslation
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Error during pre-translation:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.validationErrors) {
+        return res.status(STATUS_CODES.UNPROCESSABLE_ENTITY).json({
+          error: "Unprocessable Entity",
+          message: error.message,
+          files: error.validationErrors,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message: error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/translation/backtranslate
+ * Back-translate a translation to check it for semantic drift
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Back-translate a proposed or submitted translation into the source language and score its similarity to the original text'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication; identifies the user for the daily translation quota',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   description: 'A translation and its original text, or a label file of a repository branch',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       translation: { type: 'string', description: 'Translation to verify; in repository mode replaces the branch value of "label"' },
+ *       original: { type: 'string', description: 'Original source text (without "repo")' },
+ *       source: { type: 'string', description: 'Language of the original text (without "repo")' },
+ *       target: { type: 'string', description: 'Language of the translation; auto-detected if omitted (without "repo")' },
+ *       repo: { type: 'string', description: 'Repository holding the label file' },
+ *       branch: { type: 'string', description: 'Branch to read (default main)' },
+ *       file: { type: 'string', description: 'Path of the label file' },
+ *       language: { type: 'string', description: 'Language of the translations to verify' },
+ *       label: { type: 'string', description: 'Only verify this label (prefLabel, definition, ...)' },
+ *       provider: { type: 'string', description: 'Preferred translation provider' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Back-translation with similarity score, or one result per label in repository mode',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       backTranslation: { type: 'string', description: 'Translation translated back into the source language' },
+ *       similarity: { type: 'number', description: 'Similarity to the original between 0 and 1' },
+ *       characterSimilarity: { type: 'number', description: 'Edit-distance similarity between 0 and 1' },
+ *       wordOverlap: { type: 'number', description: 'Shared words between 0 and 1' },
+ *       drift: { type: 'string', description: 'low, medium or high' },
+ *       results: { type: 'array', description: 'Repository mode: one back-translation or error per label' }
+ *     }
+ *   }
+ * }
+ */
+router.post(
+  "/backtranslate",
+  validateRequest(({ translation, original, source, target, repo, file, language, provider }) => {
+    if (repo ? !file || !language : !translation || !original || !source) {
+      throw badRequest(ERROR_MESSAGES.BACK_TRANSLATION_FIELDS_REQUIRED);
+    }
+    TranslationService.validateOptions({
+      target: repo ? language : target,
+      source: repo ? undefined : source,
+      provider,
+    });
+  }),
+  // In repository mode every label of the file is back-translated: read it
+  // first to charge what is actually translated, and reuse it in the route
+  enforceTranslationQuota(async (req) => {
+    const { translation, repo, branch, file, language, label } = req.body;
+    if (!repo) {
+      return textLength(translation);
+    }
+    req.backTranslation = await TranslationService.collectBackTranslations(
+      new GitHubService(req.headers.authorization),
+      { repo, branch: branch || "main", file, language, label, translation }
+    );
+    return req.backTranslation.items.reduce((sum, item) => sum + textLength(item.text), 0);
+  }),
+  async (req, res) => {
+    // #swagger.tags = ['Translation']
+    // #swagger.description = 'Back-translate a proposed or submitted translation into the source language and score its similarity to the original text'
+    const { translation, original, source, target, repo, branch, file, language, label, provider } =
+      req.body || {};
+    const token = req.headers.authorization;
+
+    try {
+      const result = repo
+        ? await TranslationService.backTranslateLabels(
+            new GitHubService(token),
+            {
+              repo,
+              branch: branch || "main",
+              file,
+              language,
+              label,
+              translation,
+              provider,
+            },
+            req.backTranslation
+          )
+        : await TranslationService.backTranslate(translation, {
+            original,
+            source,
+            target,
+            provider,
+          });
+      res.json(result);
+    } catch (error) {
+      console.error("Error during back-translation:", error);
+
+      if (error.status === STATUS_CODES.BAD_REQUEST) {
+        return res.status(STATUS_CODES.BAD_REQUEST).json({
+          error: "Bad Request",
+          message: error.message,
+        });
+      }
+
+      if (error.status === STATUS_CODES.NOT_FOUND) {
+        return res.status(STATUS_CODES.NOT_FOUND).json({
+          error: "Not Found",
+          message: error.message,
+        });
+      }
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message: error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Translation Error",
+        message: ERROR_MESSAGES.TRANSLATION_ERROR,
+        failedProviders: error.failedProviders,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/translation/qa
+ * Run automated QA checks on a translation, or on every translated label of a branch
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Check translations for changed numbers and units, altered chemical formulas, untranslated copies, trailing punctuation mismatches, unusual length and double spaces'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication, required when "repo" is given',
+ *   required: false,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   description: 'A source text and its translation, or a repository branch to check',
+ *   required: true,
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       text: { type: 'string', description: 'Source text' },
+ *       translation: { type: 'string', description: 'Translation to check' },
+ *       repo: { type: 'string', description: 'Repository whose label files are checked' },
+ *       branch: { type: 'string', description: 'Branch to check (default main)' },
+ *       languages: { type: 'array', items: { type: 'string' }, description: 'Only check these target languages' }
+ *     }
+ *   }
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'QA findings; in repository mode each finding names its file, label and language',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       findings: { type: 'array', description: 'Findings with check, severity (error, warning, info) and message' },
+ *       summary: { type: 'object', description: 'Finding counts by severity, check and language' }
+ *     }
+ *   }
+ * }
+ */
+router.post("/qa", async (req, res) => {
   // #swagger.tags = ['Translation']
-  // #swagger.description = 'Get AI-powered translation suggestions for given text'
-  console.log(req.body);
-  const { text, target } = req.body;
+  // #swagger.description = 'Check translations for changed numbers and units, altered chemical formulas, untranslated copies, trailing punctuation mismatches, unusual length and double spaces'
+  const { text, translation, repo, branch, languages } = req.body || {};
+  const token = req.headers.authorization;
+
+  if (!repo) {
+    if (typeof text !== "string" || typeof translation !== "string") {
+      return res.status(STATUS_CODES.BAD_REQUEST).json({
+        error: "Bad Request",
+        message: ERROR_MESSAGES.QA_INPUT_REQUIRED,
+      });
+    }
+
+    const findings = QaService.checkPair(text, translation);
+    return res.json({ findings, summary: QaService.summarize(findings) });
+  }
+
+  if (!token) {
+    return res.status(STATUS_CODES.UNAUTHORIZED).json({
+      error: "Unauthorized",
+      message: ERROR_MESSAGES.UNAUTHORIZED,
+    });
+  }
 
   try {
-    const result = await TranslationService.getSuggestion(text, target);
-    console.log(result.suggestion);
+    const githubService = new GitHubService(token);
+    const result = await QaService.checkRepository(githubService, repo, branch || "main", {
+      languages: Array.isArray(languages) ? languages : undefined,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Error running translation QA:", error);
+
+    if (error.response) {
+      return res.status(error.response.status).json({
+        error: "GitHub API Error",
+        message: error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+      });
+    }
+
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+      error: "Internal Server Error",
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+    });
+  }
+});
+
+/**
+ * GET /api/translation/providers
+ * Get machine-translation providers and their health
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'List translation providers with their configuration and health status'
+ * #swagger.responses[200] = {
+ *   description: 'Provider health retrieved successfully',
+ *   schema: {
+ *     type: 'array',
+ *     items: {
+ *       type: 'object',
+ *       properties: {
+ *         name: { type: 'string', description: 'Provider name' },
+ *         status: { type: 'string', description: 'healthy, degraded, unhealthy or unconfigured' },
+ *         inChain: { type: 'boolean', description: 'Whether the provider is part of the fallback chain' },
+ *         failures: { type: 'number', description: 'Total failed calls' },
+ *         lastError: { type: 'string', description: 'Last error message' }
+ *       }
+ *     }
+ *   }
+ * }
+ */
+router.get("/providers", (req, res) => {
+  // #swagger.tags = ['Translation']
+  // #swagger.description = 'List translation providers with their configuration and health status'
+  res.json(TranslationService.getProviderHealth());
+});
+
+/**
+ * GET /api/translation/memory/search
+ * Search the translation memory
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Find exact and fuzzy translation memory matches for a source text (organization members only)'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token of an organization member',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['text'] = { in: 'query', description: 'Source text', required: true, type: 'string' }
+ * #swagger.parameters['target'] = { in: 'query', description: 'Target language code', required: true, type: 'string' }
+ * #swagger.parameters['source'] = { in: 'query', description: 'Source language code', required: false, type: 'string' }
+ * #swagger.parameters['limit'] = { in: 'query', description: 'Maximum number of matches', required: false, type: 'number' }
+ * #swagger.parameters['minScore'] = { in: 'query', description: 'Minimum similarity between 0 and 1', required: false, type: 'number' }
+ * #swagger.responses[200] = {
+ *   description: 'Matches sorted by similarity score',
+ *   schema: {
+ *     type: 'array',
+ *     items: {
+ *       type: 'object',
+ *       properties: {
+ *         match: { type: 'string', description: 'exact or fuzzy' },
+ *         score: { type: 'number', description: 'Similarity between 0 and 1' },
+ *         sourceText: { type: 'string', description: 'Approved source text' },
+ *         targetText: { type: 'string', description: 'Approved translation' },
+ *         origin: { type: 'object', description: 'Repository, file and label the translation comes from' }
+ *       }
+ *     }
+ *   }
+ * }
+ */
+router.get(
+  "/memory/search",
+  validateOrgMember,
+  validateQueryParams(["text", "target"]),
+  async (req, res) => {
+    // #swagger.tags = ['Translation']
+    // #swagger.description = 'Find exact and fuzzy translation memory matches for a source text (organization members only)'
+    const { text, target, source, limit, minScore } = req.query;
+
+    try {
+      const matches = await TranslationMemoryService.lookup(text, {
+        source,
+        target,
+        limit: limit ? Number(limit) : undefined,
+        minScore: minScore !== undefined ? Number(minScore) : undefined,
+      });
+      res.json(matches);
+    } catch (error) {
+      console.error("Error searching translation memory:", error);
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/translation/memory/stats
+ * Get translation memory statistics
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Get translation memory size, indexed repositories and language pairs (organization members only)'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token of an organization member',
+ *   required: true,
+ *   type: 'string'
+ * }
+ */
+router.get("/memory/stats", validateOrgMember, async (req, res) => {
+  // #swagger.tags = ['Translation']
+  // #swagger.description = 'Get translation memory size, indexed repositories and language pairs (organization members only)'
+  try {
+    res.json(await TranslationMemoryService.getStats());
+  } catch (error) {
+    console.error("Error reading translation memory stats:", error);
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+      error: "Internal Server Error",
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+    });
+  }
+});
+
+/**
+ * POST /api/translation/memory/rebuild
+ * Rebuild the translation memory from main of the vocabulary repositories
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Index approved translations from main of all (or the given) vocabulary repositories (organization admins only)'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token of an organization administrator',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['body'] = {
+ *   in: 'body',
+ *   description: 'Optional list of repositories to index instead of the whole organization',
+ *   required: false,
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       repos: { type: 'array', items: { type: 'string' } }
+ *     }
+ *   }
+ * }
+ */
+router.post(
+  "/memory/rebuild",
+  validateOrgAdmin,
+  validateGitHubOwner,
+  async (req, res) => {
+    // #swagger.tags = ['Translation']
+    // #swagger.description = 'Index approved translations from main of all (or the given) vocabulary repositories (organization admins only)'
+    const { repos } = req.body || {};
+    const token = req.headers.authorization;
+
+    try {
+      const githubService = new GitHubService(token);
+      const result = await TranslationMemoryService.rebuild(githubService, repos);
+      res.json(result);
+    } catch (error) {
+      console.error("Error rebuilding translation memory:", error);
+
+      if (error.response) {
+        return res.status(error.response.status).json({
+          error: "GitHub API Error",
+          message: error.response.data.message || ERROR_MESSAGES.GITHUB_API_ERROR,
+        });
+      }
+
+      res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+        error: "Internal Server Error",
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/translation/quota
+ * Get the caller's daily translation quota
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Get the daily translation quota limits, usage and remaining amount of the authenticated user'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token for GitHub authentication (format: Bearer YOUR_GITHUB_TOKEN)',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Quota of the authenticated user; null limits are unlimited',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       login: { type: 'string', description: 'GitHub login' },
+ *       resetAt: { type: 'string', description: 'When the daily quota resets (midnight UTC)' },
+ *       limits: { type: 'object', description: 'Daily requests and characters allowed per user' },
+ *       used: { type: 'object', description: 'Requests and characters used today' },
+ *       remaining: { type: 'object', description: 'Requests and characters left today, including the global quota' }
+ *     }
+ *   }
+ * }
+ */
+router.get("/quota", validateGitHubToken, async (req, res) => {
+  // #swagger.tags = ['Translation']
+  // #swagger.description = 'Get the daily translation quota limits, usage and remaining amount of the authenticated user'
+  const token = req.headers.authorization;
+
+  try {
+    const login = await QuotaService.identify(token);
+    res.json(await QuotaService.getQuota(login));
+  } catch (error) {
+    console.error("Error reading translation quota:", error);
+
+    if (error.status === STATUS_CODES.UNAUTHORIZED) {
+      return res.status(STATUS_CODES.UNAUTHORIZED).json({
+        error: "Unauthorized",
+        message: error.message,
+      });
+    }
+
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+      error: "Internal Server Error",
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+    });
+  }
+});
+
+/**
+ * GET /api/translation/quota/usage
+ * Get translation consumption per user
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Get the daily translation consumption of every user and of the whole server (organization admins only)'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token of an organization administrator',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.responses[200] = {
+ *   description: 'Consumption of the current day',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       day: { type: 'string', description: 'UTC day the usage applies to' },
+ *       limits: { type: 'object', description: 'Per-user and global daily limits; null is unlimited' },
+ *       global: { type: 'object', description: 'Requests and characters used by everyone today' },
+ *       users: { type: 'array', description: 'Requests, characters and last request time per user, heaviest first' }
+ *     }
+ *   }
+ * }
+ */
+router.get("/quota/usage", validateOrgAdmin, async (req, res) => {
+  // #swagger.tags = ['Translation']
+  // #swagger.description = 'Get the daily translation consumption of every user and of the whole server (organization admins only)'
+  try {
+    res.json(await QuotaService.getUsage());
+  } catch (error) {
+    console.error("Error reading translation quota usage:", error);
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+      error: "Internal Server Error",
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+    });
+  }
+});
+
+/**
+ * GET /api/translation/cache/stats
+ * Get suggestion cache statistics
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Get suggestion cache size, hit rate and per-provider breakdown'
+ */
+router.get("/cache/stats", async (req, res) => {
+  // #swagger.tags = ['Translation']
+  // #swagger.description = 'Get suggestion cache size, hit rate and per-provider breakdown'
+  try {
+    res.json(await SuggestionCacheService.getStats());
+  } catch (error) {
+    console.error("Error reading suggestion cache stats:", error);
+    res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
+      error: "Internal Server Error",
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
+    });
+  }
+});
+
+/**
+ * DELETE /api/translation/cache
+ * Purge suggestion cache entries
+ * #swagger.tags = ['Translation']
+ * #swagger.description = 'Purge suggestion cache entries matching the filters, or all entries (organization admins only)'
+ * #swagger.parameters['authorization'] = {
+ *   in: 'header',
+ *   description: 'Bearer token of an organization administrator',
+ *   required: true,
+ *   type: 'string'
+ * }
+ * #swagger.parameters['provider'] = { in: 'query', description: 'Only purge entries of this provider', required: false, type: 'string' }
+ * #swagger.parameters['source'] = { in: 'query', description: 'Only purge entries with this source language', required: false, type: 'string' }
+ * #swagger.parameters['target'] = { in: 'query', description: 'Only purge entries with this target language', required: false, type: 'string' }
+ * #swagger.parameters['text'] = { in: 'query', description: 'Only purge entries for this source text', required: false, type: 'string' }
+ * #swagger.parameters['expired'] = { in: 'query', description: 'Only purge expired entries when "true"', required: false, type: 'string' }
+ * #swagger.responses[200] = {
+ *   description: 'Entries purged',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       purged: { type: 'number', description: 'Number of removed entries' },
+ *       remaining: { type: 'number', description: 'Entries left in the cache' }
+ *     }
+ *   }
+ * }
+ */
+router.delete("/cache", validateOrgAdmin, async (req, res) => {
+  // #swagger.tags = ['Translation']
+  // #swagger.description = 'Purge suggestion cache entries matching the filters, or all entries (organization admins only)'
+  const { provider, source, target, text, expired } = req.query;
+
+  try {
+    const result = await SuggestionCacheService.purge({
+      provider,
+      source,
+      target,
+      text,
+      expiredOnly: expired === "true",
+    });
+    console.log(`Suggestion cache purged by ${req.adminLogin}:`, result);
     res.json(result);
   } catch (error) {
-    console.error("Error during translation:", error);
+    console.error("Error purging suggestion cache:", error);
     res.status(STATUS_CODES.INTERNAL_SERVER_ERROR).json({
-      error: "Translation Error",
-      message: ERROR_MESSAGES.TRANSLATION_ERROR,
+      error: "Internal Server Error",
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR,
     });
   }
 });
@@ -0,0 +1,254 @@
+import { createTwoFilesPatch } from "diff";
+import { canonicalizeLanguageTag } from "../utils/languages.js";
+import { normalizeText } from "../utils/textSimilarity.js";
+import { getConfigSourceLanguage } from "../utils/labelFile.js";
+import { editLabelFile } from "../utils/labelFileEditor.js";
+import {
+  EXCHANGE_FORMATS,
+  SINGLE_TARGET_FORMATS,
+  IMPORT_FORMATS,
+  getUnits,
+  getLocalUnitId,
+  serializeUnits,
+  parseImportFile,
+} from "../utils/exchangeFormats.js";
+import { ERROR_MESSAGES, STATUS_CODES } from "../utils/constants.js";
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = STATUS_CODES.BAD_REQUEST;
+  return error;
+}
+
+// Key of a unit in the translations of editLabelFile: the label name, or
+// "name.N" when the file has several labels with that name
+function getEditKey(unit, units) {
+  const repeated = units.some(
+    (other) => other.path === unit.path && other.name === unit.name && other !== unit
+  );
+  return repeated ? `${unit.name}.${unit.occurrence}` : unit.name;
+}
+
+/**
+ * Exchange of label file translations with CAT tools through XLIFF 2.0, TMX,
+ * CSV and gettext PO files
+ */
+export class ExchangeService {
+  /**
+   * Source and target languages of a repository from its config.yml: the
+   * source is sources[].language (default "en"), the targets are
+   * target_languages, or only the requested target
+   */
+  static getLanguages(config, target) {
+    const source = canonicalizeLanguageTag(getConfigSourceLanguage(config)) || "en";
+    if (target) {
+      const tag = canonicalizeLanguageTag(target);
+      if (!tag) {
+        throw badRequest(ERROR_MESSAGES.INVALID_LANGUAGE_TAG);
+      }
+      return { source, targets: [tag] };
+    }
+
+    const targets = [
+      ...new Set(
+        (config?.target_languages || [])
+          .map((language) => canonicalizeLanguageTag(String(language)))
+          .filter((language) => language && language !== source)
+      ),
+    ];
+    return { source, targets };
+  }
+
+  /**
+   * Export the labels of all label files of a branch that have a source text
+   * Returns { filename, contentType, body, units }
+   */
+  static async exportBranch(githubService, { repo, branch, format, target }) {
+    if (!EXCHANGE_FORMATS[format]) {
+      throw badRequest(ERROR_MESSAGES.INVALID_EXCHANGE_FORMAT);
+    }
+
+    const [config, files] = await Promise.all([
+      githubService.getRepositoryConfig(repo, branch),
+      githubService.getLabelFiles(repo, branch),
+    ]);
+    const { source, targets } = this.getLanguages(config, target);
+    if (targets.length === 0 || (SINGLE_TARGET_FORMATS.includes(format) && targets.length > 1)) {
+      throw badRequest(ERROR_MESSAGES.EXPORT_TARGET_REQUIRED);
+    }
+
+    const units = getUnits(files, source, canonicalizeLanguageTag).filter((unit) =>
+      unit.source?.trim()
+    );
+    const languagePart = targets.length === 1 ? targets[0] : "all";
+    return {
+      filename: `${repo}-${branch}-${languagePart}.${EXCHANGE_FORMATS[format].extension}`.replace(
+        /[^\w.-]+/g,
+        "_"
+      ),
+      contentType: EXCHANGE_FORMATS[format].contentType,
+      body: serializeUnits(format, units, { source, target: targets[0], targets }),
+      units: units.length,
+    };
+  }
+
+  /**
+   * Import the translations of an XLIFF, TMX or CSV file into the label files
+   * of a branch
+   * Units are matched by ID (see getUnitId); unmatched units, repeated units
+   * (the first one wins) and units whose source text no longer matches the
+   * label are reported and not applied, and empty translations never erase
+   * existing ones. Only target is imported when given
+   * Without confirm the result is a preview: per file the changes, the
+   * changed lines and a unified diff. With confirm the changes are committed
+   * in one commit through updateFilesWithTranslations
+   */
+  static async importFile(
+    githubService,
+    { repo, branch, format, content, target, confirm = false, message }
+  ) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw badRequest(ERROR_MESSAGES.INVALID_IMPORT_FORMAT);
+    }
+
+    const [config, files, user] = await Promise.all([
+      githubService.getRepositoryConfig(repo, branch),
+      githubService.getLabelFileTexts(repo, branch),
+      confirm ? null : githubService.getUser(),
+    ]);
+    const { source, targets } = this.getLanguages(config, target);
+    const imported = parseImportFile(format, content, { sourceLanguage: source });
+    // CAT tools often declare a regional source such as en-US
+    const importedSource = canonicalizeLanguageTag(imported.source || "");
+    if (imported.source && importedSource?.split("-")[0] !== source.split("-")[0]) {
+      throw badRequest(
+        `${ERROR_MESSAGES.IMPORT_SOURCE_LANGUAGE_MISMATCH} (${imported.source}, expected ${source})`
+      );
+    }
+
+    const units = getUnits(files, source, canonicalizeLanguageTag);
+    const index = new Map();
+    units.forEach((unit) => {
+      index.set(unit.id, unit);
+      // XLIFF unit IDs are XML name tokens
+      index.set(`${unit.path}#${getLocalUnitId(unit)}`, unit);
+    });
+
+    const report = { unmatched: [], duplicates: [], sourceChanged: [], rejected: [] };
+    const seen = new Set();
+    const edits = new Map();
+    let unchanged = 0;
+
+    imported.units.forEach((importedUnit) => {
+      const unit = index.get(importedUnit.id);
+      if (!unit) {
+        report.unmatched.push({ id: importedUnit.id, source: importedUnit.source });
+        return;
+      }
+      if (seen.has(unit.id)) {
+        report.duplicates.push({ id: unit.id, source: importedUnit.source });
+        return;
+      }
+      seen.add(unit.id);
+
+      if (
+        importedUnit.source !== null &&
+        normalizeText(importedUnit.source) !== normalizeText(unit.source)
+      ) {
+        report.sourceChanged.push({
+          id: unit.id,
+          imported: importedUnit.source,
+          current: unit.source,
+        });
+        return;
+      }
+
+      Object.entries(importedUnit.translations).forEach(([language, value]) => {
+        const tag = canonicalizeLanguageTag(language);
+        if (!tag) {
+          report.rejected.push({
+            id: unit.id,
+            language,
+            reason: ERROR_MESSAGES.INVALID_LANGUAGE_TAG,
+          });
+          return;
+        }
+        if (tag === source || (target && tag !== targets[0]) || !String(value ?? "").trim()) {
+          return;
+        }
+        if (unit.translations[tag] === value) {
+          unchanged += 1;
+          return;
+        }
+
+        const fileEdits = edits.get(unit.path) || { translations: {}, changes: [] };
+        const key = getEditKey(unit, units);
+        fileEdits.translations[key] = { ...fileEdits.translations[key], [tag]: value };
+        fileEdits.changes.push({
+          id: unit.id,
+          label: unit.name,
+          language: tag,
+          before: unit.translations[tag] ?? null,
+          after: value,
+        });
+        edits.set(unit.path, fileEdits);
+      });
+    });
+
+    const changes = [...edits.values()].reduce((sum, file) => sum + file.changes.length, 0);
+    const summary = {
+      units: imported.units.length,
+      matched: seen.size,
+      changes,
+      unchanged,
+      unmatched: report.unmatched.length,
+      duplicates: report.duplicates.length,
+      sourceChanged: report.sourceChanged.length,
+      rejected: report.rejected.length,
+    };
+
+    if (!confirm) {
+      const texts = new Map(files.map((file) => [file.path, file.text]));
+      const preview = [...edits.entries()].map(([path, fileEdits]) => {
+        const before = texts.get(path);
+        const { content: after, lines } = editLabelFile(before, {
+          translations: fileEdits.translations,
+          author: user?.login,
+        });
+        return {
+          path,
+          changes: fileEdits.changes,
+          lines,
+          patch: createTwoFilesPatch(path, path, before, after, branch, "import"),
+        };
+      });
+      return { repo, branch, format, confirmed: false, files: preview, ...report, summary };
+    }
+
+    const result =
+      edits.size > 0
+        ? await githubService.updateFilesWithTranslations(
+            repo,
+            branch,
+            [...edits.entries()].map(([filename, fileEdits]) => ({
+              filename,
+              translations: fileEdits.translations,
+            })),
+            message || `Import translations from ${format.toUpperCase()}`
+          )
+        : { commit: null, files: [] };
+    return {
+      repo,
+      branch,
+      format,
+      confirmed: true,
+      commit: result.commit,
+      files: result.files.map((file) => ({
+        ...file,
+        changes: edits.get(file.filename).changes,
+      })),
+      ...report,
+      summary,
+    };
+  }
+}
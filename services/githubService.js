@@ -1,10 +1,27 @@
 import { Octokit } from "octokit";
 import { diffLines } from "diff";
-import { parse, stringify } from "yaml";
+import { parse } from "yaml";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import {
+  isLabelFilePath,
+  isLabelFileContent,
+  getLabelProvenance,
+  getTranslationChanges,
+  getConfigItemNames,
+  mergeTranslationEdits,
+} from "../utils/labelFile.js";
+import { editLabelFile } from "../utils/labelFileEditor.js";
+import { GlossaryService } from "./glossaryService.js";
+import {
+  getFileType,
+  validateRepositoryFile,
+  assertValidFiles,
+} from "../utils/labelSchema.js";
 import {
   ERROR_MESSAGES,
   STATUS_CODES,
   GITHUB_API_VERSION,
+  LABEL_FILE_CONCURRENCY,
 } from "../utils/constants.js";
 
 /**
@@ -66,6 +83,24 @@ export class GitHubService {
     return branchesWithCommitDates;
   }
 
+  /**
+   * Sha of the commit a branch points to
+   */
+  async getBranchHeadSha(repo, branch) {
+    const { data: ref } = await this.octokit.request(
+      "GET /repos/{owner}/{repo}/git/ref/{ref}",
+      {
+        owner: this.owner,
+        repo,
+        ref: `heads/${branch}`,
+        headers: {
+          "X-GitHub-Api-Version": GITHUB_API_VERSION,
+        },
+      }
+    );
+    return ref.object.sha;
+  }
+
   /**
    * Get repository tree/files
    */
@@ -94,9 +129,17 @@ export class GitHubService {
   }
 
   /**
-   * Get file content
+   * Get parsed file content
    */
   async getFileContent(repo, path, branch) {
+    const { text } = await this.getFileText(repo, path, branch);
+    return parse(text);
+  }
+
+  /**
+   * Get the raw text of a file and its blob sha
+   */
+  async getFileText(repo, path, branch) {
     try {
       console.log(`Getting file content: ${path} from branch: ${branch}`);
 
@@ -118,14 +161,16 @@ export class GitHubService {
       );
 
       console.log(`File content retrieved successfully: ${path}`);
-      return parse(content);
+      return { text: content, sha: response.data.sha };
     } catch (error) {
       console.error(`Failed to get file content for ${path}:`, error.message);
 
       if (error.response && error.response.status === 404) {
-        throw new Error(
+        const notFound = new Error(
           `File ${path} not found in repository ${repo} on branch ${branch}`
         );
+        notFound.status = STATUS_CODES.NOT_FOUND;
+        throw notFound;
       } else if (error.response) {
         const status = error.response.status;
         const message =
@@ -141,6 +186,203 @@ export class GitHubService {
     }
   }
 
+  /**
+   * Get the text of a blob by its sha, such as an earlier version of a file
+   */
+  async getBlobText(repo, sha) {
+    try {
+      const response = await this.octokit.request(
+        "GET /repos/{owner}/{repo}/git/blobs/{file_sha}",
+        {
+          owner: this.owner,
+          repo,
+          file_sha: sha,
+          headers: {
+            "X-GitHub-Api-Version": GITHUB_API_VERSION,
+          },
+        }
+      );
+      return Buffer.from(response.data.content, "base64").toString("utf-8");
+    } catch (error) {
+      if (error.response && [404, 422].includes(error.response.status)) {
+        const notFound = new Error(`Blob ${sha} not found in repository ${repo}`);
+        notFound.status = STATUS_CODES.NOT_FOUND;
+        throw notFound;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Merge translation edits made on the base version of a file (baseSha)
+   * into its current version ({ text, sha }) with mergeTranslationEdits
+   * Returns { translations, merge }: the edits to apply and, when the file
+   * moved on since baseSha, { baseSha, sha, kept, conflicts }; without
+   * baseSha or when it is the current sha the edits apply as they are
+   */
+  async mergeWithBase(repo, path, baseSha, current, translations) {
+    if (!baseSha || baseSha === current.sha) {
+      return { translations, merge: null };
+    }
+
+    console.log(`File ${path} moved on since ${baseSha}, merging translations`);
+    const baseText = await this.getBlobText(repo, baseSha);
+    const merged = mergeTranslationEdits(parse(baseText), parse(current.text), translations);
+    return {
+      translations: merged.translations,
+      merge: { baseSha, sha: current.sha, kept: merged.kept, conflicts: merged.conflicts },
+    };
+  }
+
+  /**
+   * Get parsed config.yml of a repository, or null if the repository has none
+   */
+  async getRepositoryConfig(repo, branch = "main") {
+    try {
+      return await this.getFileContent(repo, "config.yml", branch);
+    } catch (error) {
+      if (error.message.includes("not found")) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get parsed content of every label file in a branch
+   * Files that are not valid label files, unparsable YAML included, are skipped
+   */
+  async getLabelFiles(repo, branch) {
+    const files = (await this.getRepositoryTree(repo, branch)).filter((file) =>
+      isLabelFilePath(file.path)
+    );
+
+    const contents = await mapWithConcurrency(files, LABEL_FILE_CONCURRENCY, async (file) => {
+      const { text } = await this.getFileText(repo, file.path, branch);
+      try {
+        return { path: file.path, content: parse(text) };
+      } catch (error) {
+        console.warn(`Skipping unparsable label file ${file.path}: ${error.message}`);
+        return null;
+      }
+    });
+
+    return contents.filter((file) => file && isLabelFileContent(file.content));
+  }
+
+  /**
+   * Get the text, parsed content and blob sha of every label file in a
+   * branch, optionally only under a path prefix
+   * Files that are not valid label files are skipped
+   */
+  async getLabelFileTexts(repo, branch, pathPrefix = "") {
+    const files = (await this.getRepositoryTree(repo, branch)).filter(
+      (file) => isLabelFilePath(file.path) && file.path.startsWith(pathPrefix)
+    );
+
+    const texts = await mapWithConcurrency(files, LABEL_FILE_CONCURRENCY, async (file) => {
+      const { text, sha } = await this.getFileText(repo, file.path, branch);
+      try {
+        return { path: file.path, text, sha, content: parse(text) };
+      } catch (error) {
+        console.warn(`Skipping unparsable label file ${file.path}: ${error.message}`);
+        return null;
+      }
+    });
+
+    return texts.filter((file) => file && isLabelFileContent(file.content));
+  }
+
+  /**
+   * Translation changes of a branch compared with main, per label file path
+   * ({ path: [{ label, language, before, after, provenance }] }), empty for main
+   */
+  async getBranchTranslationChanges(repo, branch) {
+    if (branch === "main") {
+      return {};
+    }
+
+    const { data } = await this.octokit.request(
+      "GET /repos/{owner}/{repo}/compare/{base}...{head}",
+      {
+        owner: this.owner,
+        repo,
+        base: "main",
+        head: branch,
+        headers: {
+          "X-GitHub-Api-Version": GITHUB_API_VERSION,
+        },
+      }
+    );
+
+    const files = (data.files || []).filter(
+      (file) => file.status !== "removed" && isLabelFilePath(file.filename)
+    );
+    const changes = await mapWithConcurrency(files, LABEL_FILE_CONCURRENCY, async (file) => {
+      const [before, after] = await Promise.all([
+        file.status === "added"
+          ? { text: "" }
+          : this.getFileText(repo, file.previous_filename || file.filename, "main"),
+        this.getFileText(repo, file.filename, branch),
+      ]);
+      return [file.filename, parseTranslationChanges(before.text, after.text)];
+    });
+
+    return Object.fromEntries(changes);
+  }
+
+  /**
+   * Validate the label files and config.yml of a branch (or a single file)
+   * against their schemas, reporting line-numbered errors per file
+   */
+  async validateFiles(repo, branch, path) {
+    const paths = path
+      ? [path]
+      : (await this.getRepositoryTree(repo, branch))
+          .map((file) => file.path)
+          .filter((filePath) => getFileType(filePath));
+
+    const files = await mapWithConcurrency(paths, LABEL_FILE_CONCURRENCY, async (filePath) => {
+      const { text } = await this.getFileText(repo, filePath, branch);
+      const errors = validateRepositoryFile(filePath, text);
+      return {
+        path: filePath,
+        type: getFileType(filePath),
+        valid: errors.length === 0,
+        errors,
+      };
+    });
+
+    const invalid = files.filter((file) => !file.valid);
+    return {
+      repo,
+      branch,
+      valid: invalid.length === 0,
+      files,
+      summary: {
+        files: files.length,
+        invalid: invalid.length,
+        errors: invalid.reduce((sum, file) => sum + file.errors.length, 0),
+      },
+    };
+  }
+
+  /**
+   * List all repositories of the owner organization
+   */
+  async listRepositories() {
+    const repositories = await this.octokit.paginate("GET /orgs/{org}/repos", {
+      org: this.owner,
+      type: "all",
+      per_page: 100,
+      headers: {
+        "X-GitHub-Api-Version": GITHUB_API_VERSION,
+      },
+    });
+
+    return repositories.map((repo) => repo.name);
+  }
+
   /**
    * Update file content
    */
@@ -153,6 +395,7 @@ export class GitHubService {
         );
       }
 
+      assertValidFiles([{ path, content }]);
       console.log(`Updating file: ${path} in repository: ${repo}`);
 
       const response = await this.octokit.request(
@@ -176,6 +419,10 @@ export class GitHubService {
     } catch (error) {
       console.error(`Failed to update file ${path}:`, error.message);
 
+      if (error.validationErrors) {
+        throw error;
+      }
+
       if (error.response) {
         const status = error.response.status;
         const message =
@@ -248,7 +495,9 @@ export class GitHubService {
       const reviewers = JSON.parse(reviewersContent);
 
       if (!Array.isArray(reviewers)) {
-        throw new Error("Reviewers file must contain an array of objects");
+        const invalid = new Error("Reviewers file must contain an array of objects");
+        invalid.status = STATUS_CODES.UNPROCESSABLE_ENTITY;
+        throw invalid;
       }
 
       // Extract reviewer usernames (first key in each dict object)
@@ -260,18 +509,238 @@ export class GitHubService {
         .filter((username) => username !== null);
 
       if (reviewerUsernames.length === 0) {
-        throw new Error("No valid reviewers found in reviewers.json");
+        const empty = new Error("No valid reviewers found in reviewers.json");
+        empty.status = STATUS_CODES.UNPROCESSABLE_ENTITY;
+        throw empty;
       }
 
       return reviewerUsernames;
     } catch (error) {
       if (error.status === 404) {
-        throw new Error("reviewers.json file not found in the main branch");
+        const notFound = new Error("reviewers.json file not found in the main branch");
+        notFound.status = STATUS_CODES.NOT_FOUND;
+        throw notFound;
       }
       throw error;
     }
   }
 
+  /**
+   * Check whether the authenticated user is listed in the repository's reviewers.json
+   * Nobody is a reviewer when the file is missing or lists no valid reviewer
+   */
+  async isReviewer(repo) {
+    const [user, reviewers] = await Promise.all([
+      this.getUser(),
+      this.getReviewers(repo).catch((error) => {
+        if (
+          error.status === STATUS_CODES.NOT_FOUND ||
+          error.status === STATUS_CODES.UNPROCESSABLE_ENTITY
+        ) {
+          return [];
+        }
+        throw error;
+      }),
+    ]);
+    return reviewers.includes(user.login);
+  }
+
+  /**
+   * Get glossary entries from glossary.json, or an empty glossary if the file does not exist
+   */
+  async getGlossary(repo, branch = "main") {
+    try {
+      const response = await this.octokit.request(
+        "GET /repos/{owner}/{repo}/contents/{path}",
+        {
+          owner: this.owner,
+          repo,
+          path: "glossary.json",
+          ref: branch,
+          headers: {
+            "X-GitHub-Api-Version": GITHUB_API_VERSION,
+          },
+        }
+      );
+
+      const glossaryContent = Buffer.from(
+        response.data.content,
+        "base64"
+      ).toString("utf-8");
+
+      let entries;
+      try {
+        entries = glossaryContent.trim() ? JSON.parse(glossaryContent) : [];
+      } catch (error) {
+        entries = null;
+      }
+      if (!Array.isArray(entries)) {
+        const invalid = new Error(ERROR_MESSAGES.GLOSSARY_FILE_INVALID);
+        invalid.status = STATUS_CODES.UNPROCESSABLE_ENTITY;
+        throw invalid;
+      }
+
+      // Hand-edited entries that are not valid, such as one without a string
+      // term, are skipped rather than breaking every glossary lookup
+      const valid = entries.filter((entry, index) => {
+        try {
+          GlossaryService.validateEntries([entry]);
+          return true;
+        } catch (error) {
+          console.warn(`Skipping glossary entry ${index} of ${repo}: ${error.message}`);
+          return false;
+        }
+      });
+
+      return { entries: valid, sha: response.data.sha };
+    } catch (error) {
+      if (error.status === 404) {
+        return { entries: [], sha: null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write glossary entries to glossary.json, creating the file if needed
+   */
+  async saveGlossary(repo, entries, branch = "main", message) {
+    // Only the sha is read, so that a glossary.json that does not parse can
+    // still be replaced
+    let sha = null;
+    try {
+      const { data } = await this.octokit.request(
+        "GET /repos/{owner}/{repo}/contents/{path}",
+        {
+          owner: this.owner,
+          repo,
+          path: "glossary.json",
+          ref: branch,
+          headers: {
+            "X-GitHub-Api-Version": GITHUB_API_VERSION,
+          },
+        }
+      );
+      sha = data.sha;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+
+    const response = await this.octokit.request(
+      "PUT /repos/{owner}/{repo}/contents/{path}",
+      {
+        owner: this.owner,
+        repo,
+        path: "glossary.json",
+        branch,
+        message: message || "Update glossary.json",
+        content: Buffer.from(JSON.stringify(entries, null, 2) + "\n").toString(
+          "base64"
+        ),
+        ...(sha ? { sha } : {}),
+        headers: {
+          "X-GitHub-Api-Version": GITHUB_API_VERSION,
+        },
+      }
+    );
+
+    return { entries, commit: response.data.commit };
+  }
+
+  /**
+   * Commit several files to a branch in a single commit using the Git Data API
+   * (blobs, tree, commit, then the branch ref), so either every file changes
+   * or none does
+   * files: [{ path, content }] with content as a string
+   * Label files and config.yml must match their schemas
+   * With options.parent the commit is built on that commit, which must still
+   * be the branch head; a branch that moved meanwhile fails with a 409-style
+   * error and nothing is written
+   */
+  async commitFiles(repo, branch, files, message, { parent: parentSha } = {}) {
+    assertValidFiles(files);
+    const headers = { "X-GitHub-Api-Version": GITHUB_API_VERSION };
+
+    if (!parentSha) {
+      const { data: ref } = await this.octokit.request(
+        "GET /repos/{owner}/{repo}/git/ref/{ref}",
+        { owner: this.owner, repo, ref: `heads/${branch}`, headers }
+      );
+      parentSha = ref.object.sha;
+    }
+    const { data: parent } = await this.octokit.request(
+      "GET /repos/{owner}/{repo}/git/commits/{commit_sha}",
+      { owner: this.owner, repo, commit_sha: parentSha, headers }
+    );
+
+    const blobs = await mapWithConcurrency(files, LABEL_FILE_CONCURRENCY, async (file) => {
+      const { data: blob } = await this.octokit.request(
+        "POST /repos/{owner}/{repo}/git/blobs",
+        {
+          owner: this.owner,
+          repo,
+          content: Buffer.from(file.content).toString("base64"),
+          encoding: "base64",
+          headers,
+        }
+      );
+      return blob;
+    });
+
+    const { data: tree } = await this.octokit.request(
+      "POST /repos/{owner}/{repo}/git/trees",
+      {
+        owner: this.owner,
+        repo,
+        base_tree: parent.tree.sha,
+        tree: files.map((file, index) => ({
+          path: file.path,
+          mode: "100644",
+          type: "blob",
+          sha: blobs[index].sha,
+        })),
+        headers,
+      }
+    );
+
+    const { data: commit } = await this.octokit.request(
+      "POST /repos/{owner}/{repo}/git/commits",
+      {
+        owner: this.owner,
+        repo,
+        message,
+        tree: tree.sha,
+        parents: [parent.sha],
+        headers,
+      }
+    );
+
+    // Not forced: fails if the branch moved since it was read, leaving the
+    // new commit unreferenced
+    try {
+      await this.octokit.request("PATCH /repos/{owner}/{repo}/git/refs/{ref}", {
+        owner: this.owner,
+        repo,
+        ref: `heads/${branch}`,
+        sha: commit.sha,
+        force: false,
+        headers,
+      });
+    } catch (error) {
+      if (error.response?.status === 422) {
+        const conflict = new Error(`${ERROR_MESSAGES.BRANCH_MOVED} (${branch})`);
+        conflict.status = STATUS_CODES.CONFLICT;
+        throw conflict;
+      }
+      throw error;
+    }
+
+    console.log(`Committed ${files.length} files to ${repo}/${branch}: ${commit.sha}`);
+    return { sha: commit.sha, url: commit.html_url, parent: parent.sha };
+  }
+
   /**
    * Create PR comment
    */
@@ -503,6 +972,19 @@ export class GitHubService {
             "base64"
           ).toString("utf-8");
 
+          // Report malformed files instead of failing on their content
+          for (const [ref, text] of [["main", contentSync], [branch, contentBranch]]) {
+            const validationErrors = validateRepositoryFile(filename, text);
+            if (validationErrors.length > 0) {
+              return {
+                filename,
+                conflicts: [
+                  { error: `${ERROR_MESSAGES.INVALID_FILE_SCHEMA} (${ref})`, validationErrors },
+                ],
+              };
+            }
+          }
+
           // Parse contents
           const parsedSync = parse(contentSync);
           const parsedBranch = parse(contentBranch);
@@ -574,87 +1056,121 @@ export class GitHubService {
 
   /**
    * Update file with translations - matching server-original.js structure
+   * Languages a label does not have yet are added to it, and newLabels
+   * ([{ name, translations: { language: value }, provenance }]) appends labels
+   * such as extra altLabels; names must already be used in the file or listed
+   * in the config.yml source items
+   * Every changed translation records its provenance: origin "human" unless
+   * provenance[label][language] says otherwise, with the author and time
+   * The file is edited in place (see editLabelFile). The response lists the
+   * lines of the new file that changed and, per label, the languages added,
+   * updated, unchanged or rejected with the reason; nothing is committed when
+   * nothing changed
+   * baseSha is the blob sha of the version the translations were made on; if
+   * the file moved on since, only edits that do not overlap a change on the
+   * branch are applied and the response's merge lists the conflicts
    */
-  async updateFileWithTranslations(repo, translations, branch, filename) {
+  async updateFileWithTranslations(
+    repo,
+    translations,
+    branch,
+    filename,
+    provenance = {},
+    newLabels = [],
+    baseSha = null
+  ) {
     try {
       const value = translations;
       const path = filename;
 
-      console.log(`Updating translations in file: ${path}`);
+      // The file may change between the read and the write (409): it is
+      // then read and merged with the edits once more
+      for (let attempt = 1; ; attempt += 1) {
+        console.log(`Updating translations in file: ${path}`);
 
-      // Fetch the file content from GitHub (this will give us both content and SHA)
-      const response = await this.octokit.request(
-        "GET /repos/{owner}/{repo}/contents/{path}",
-        {
-          owner: this.owner,
+        // Fetch the file content from GitHub (this will give us both content and SHA)
+        const response = await this.octokit.request(
+          "GET /repos/{owner}/{repo}/contents/{path}",
+          {
+            owner: this.owner,
+            repo,
+            path,
+            ref: branch,
+            headers: {
+              "X-GitHub-Api-Version": GITHUB_API_VERSION,
+            },
+          }
+        );
+
+        const text = Buffer.from(response.data.content, "base64").toString("utf-8");
+        // Malformed files are reported with their line numbers instead of
+        // failing halfway through the update
+        assertValidFiles([{ path, content: text }]);
+        const { translations: edits, merge } = await this.mergeWithBase(
           repo,
           path,
-          ref: branch,
-          headers: {
-            "X-GitHub-Api-Version": GITHUB_API_VERSION,
-          },
-        }
-      );
-
-      const content = parse(
-        Buffer.from(response.data.content, "base64").toString("utf-8")
-      );
+          baseSha,
+          { text, sha: response.data.sha },
+          value
+        );
 
-      // Update the content with the provided translations
-      content.labels.forEach((label) => {
-        const translationKey = label.name;
-        if (value.hasOwnProperty(translationKey)) {
-          Object.entries(value[translationKey]).forEach(([language, term]) => {
-            const translationObj = label.translations.find((t) =>
-              t.hasOwnProperty(language)
-            );
-            if (translationObj) {
-              translationObj[language] = term;
-            } else {
-              console.warn(
-                `Language ${language} not found for label ${translationKey}`
-              );
-            }
-          });
+        const { login: author } = await this.getUser();
+        const config = newLabels.length > 0 ? await this.getRepositoryConfig(repo, branch) : null;
+        const { content: updatedContent, changed, lines, report } = editLabelFile(text, {
+          translations: edits,
+          provenance,
+          newLabels,
+          configItemNames: getConfigItemNames(config),
+          author,
+        });
+        if (!changed) {
+          console.log(`No translation changes in: ${path}`);
+          return { data: { content: null, commit: null }, lines, report, merge };
         }
-      });
+        assertValidFiles([{ path, content: updatedContent }]);
 
-      const updatedContent = stringify(content, {
-        quotingType: '"',
-        prettyErrors: true,
-        lineWidth: 0,
-        defaultStringType: "QUOTE_DOUBLE",
-        defaultKeyType: "PLAIN",
-      });
-
-      // Use the SHA from the first request (no need to fetch again)
-      const sha = response.data.sha;
+        // Use the SHA from the first request (no need to fetch again)
+        const sha = response.data.sha;
 
-      // Commit the updated file to the repository
-      const response2 = await this.octokit.request(
-        "PUT /repos/{owner}/{repo}/contents/{path}",
-        {
-          owner: this.owner,
-          repo,
-          path,
-          branch,
-          message: `Update translations for ${path}`,
-          content: Buffer.from(updatedContent).toString("base64"),
-          sha,
-          headers: {
-            "X-GitHub-Api-Version": GITHUB_API_VERSION,
-          },
+        // Commit the updated file to the repository
+        let response2;
+        try {
+          response2 = await this.octokit.request(
+            "PUT /repos/{owner}/{repo}/contents/{path}",
+            {
+              owner: this.owner,
+              repo,
+              path,
+              branch,
+              message: `Update translations for ${path}`,
+              content: Buffer.from(updatedContent).toString("base64"),
+              sha,
+              headers: {
+                "X-GitHub-Api-Version": GITHUB_API_VERSION,
+              },
+            }
+          );
+        } catch (error) {
+          if (error.response?.status === STATUS_CODES.CONFLICT && attempt === 1) {
+            console.log(`${path} changed while it was being updated, merging again`);
+            continue;
+          }
+          throw error;
         }
-      );
 
-      console.log(`Translations updated successfully in: ${path}`);
-      return response2;
+        console.log(`Translations updated successfully in: ${path}`);
+        return { ...response2, lines, report, merge };
+      }
     } catch (error) {
       console.error(
         `Failed to update translations in ${filename}:`,
         error.message
       );
 
+      if (error.validationErrors || error.status === STATUS_CODES.NOT_FOUND) {
+        throw error;
+      }
+
       if (error.response) {
         const status = error.response.status;
         const message =
@@ -664,10 +1180,10 @@ export class GitHubService {
           throw new Error(
             `File ${filename} not found in repository ${repo} on branch ${branch}`
           );
-        } else if (status === 409) {
-          throw new Error(
-            `Conflict updating ${filename}: The file has been modified by another process`
-          );
+        } else if (status === STATUS_CODES.CONFLICT) {
+          const conflict = new Error(`${ERROR_MESSAGES.FILE_MOVED} (${filename})`);
+          conflict.status = STATUS_CODES.CONFLICT;
+          throw conflict;
         } else {
           throw new Error(
             `GitHub API error updating translations (status ${status}): ${message}`
@@ -681,6 +1197,92 @@ export class GitHubService {
     }
   }
 
+  /**
+   * Apply translation edits to several label files of a branch and commit
+   * them in a single commit: either every file is updated or none is
+   * files: [{ filename, translations, provenance, newLabels, baseSha }] as
+   * accepted by updateFileWithTranslations
+   * All files are read at the current branch head and the commit is built on
+   * it, so a branch that moves meanwhile fails with a 409-style error
+   * Files that moved on since their baseSha are merged; the summary counts
+   * the conflicting translations, which are left out of the commit
+   */
+  async updateFilesWithTranslations(repo, branch, files, message) {
+    const { data: ref } = await this.octokit.request(
+      "GET /repos/{owner}/{repo}/git/ref/{ref}",
+      {
+        owner: this.owner,
+        repo,
+        ref: `heads/${branch}`,
+        headers: {
+          "X-GitHub-Api-Version": GITHUB_API_VERSION,
+        },
+      }
+    );
+    const head = ref.object.sha;
+
+    const needsConfig = files.some((file) => file.newLabels?.length > 0);
+    const [{ login: author }, config, texts] = await Promise.all([
+      this.getUser(),
+      needsConfig ? this.getRepositoryConfig(repo, head) : null,
+      mapWithConcurrency(files, LABEL_FILE_CONCURRENCY, (file) =>
+        this.getFileText(repo, file.filename, head)
+      ),
+    ]);
+    assertValidFiles(
+      files.map((file, index) => ({ path: file.filename, content: texts[index].text }))
+    );
+
+    const merges = await mapWithConcurrency(files, LABEL_FILE_CONCURRENCY, (file, index) =>
+      this.mergeWithBase(repo, file.filename, file.baseSha, texts[index], file.translations)
+    );
+
+    const results = files.map((file, index) => ({
+      filename: file.filename,
+      merge: merges[index].merge,
+      ...editLabelFile(texts[index].text, {
+        translations: merges[index].translations,
+        provenance: file.provenance,
+        newLabels: file.newLabels,
+        configItemNames: getConfigItemNames(config),
+        author,
+      }),
+    }));
+    const changed = results.filter((result) => result.changed);
+
+    let commit = null;
+    if (changed.length > 0) {
+      commit = await this.commitFiles(
+        repo,
+        branch,
+        changed.map((result) => ({ path: result.filename, content: result.content })),
+        message || describeTranslationCommit(changed),
+        { parent: head }
+      );
+    }
+
+    const count = (outcome) =>
+      results.reduce(
+        (sum, result) =>
+          sum + result.report.reduce((labelSum, entry) => labelSum + entry[outcome].length, 0),
+        0
+      );
+    return {
+      repo,
+      branch,
+      commit,
+      files: results.map(({ content, ...result }) => result),
+      summary: {
+        files: results.length,
+        changedFiles: changed.length,
+        added: count("added"),
+        updated: count("updated"),
+        rejected: count("rejected"),
+        conflicts: results.reduce((sum, result) => sum + (result.merge?.conflicts.length || 0), 0),
+      },
+    };
+  }
+
   /**
    * Get commits for a repository
    */
@@ -703,6 +1305,60 @@ export class GitHubService {
     return response.data;
   }
 
+  /**
+   * Commits of a branch that touched a file, newest first, at most limit
+   * GitHub lists them by path, so commits before a rename are not included
+   */
+  async getFileCommits(repo, path, branch, limit) {
+    let count = 0;
+    const commits = await this.octokit.paginate(
+      "GET /repos/{owner}/{repo}/commits",
+      {
+        owner: this.owner,
+        repo,
+        sha: branch,
+        path,
+        per_page: Math.min(limit, 100),
+        headers: {
+          "X-GitHub-Api-Version": GITHUB_API_VERSION,
+        },
+      },
+      (response, done) => {
+        count += response.data.length;
+        if (count >= limit) {
+          done();
+        }
+        return response.data;
+      }
+    );
+    return commits.slice(0, limit);
+  }
+
+  /**
+   * Pull requests a commit belongs to, such as the translation PR of its
+   * branch or the PR that merged it into main
+   */
+  async getCommitPullRequests(repo, sha) {
+    const { data } = await this.octokit.request(
+      "GET /repos/{owner}/{repo}/commits/{commit_sha}/pulls",
+      {
+        owner: this.owner,
+        repo,
+        commit_sha: sha,
+        headers: {
+          "X-GitHub-Api-Version": GITHUB_API_VERSION,
+        },
+      }
+    );
+    return data.map((pull) => ({
+      number: pull.number,
+      title: pull.title,
+      state: pull.state,
+      merged: Boolean(pull.merged_at),
+      url: pull.html_url,
+    }));
+  }
+
   /**
    * Get pull request comments by PR number - matching server-original.js structure
    */
@@ -932,6 +1588,7 @@ export class GitHubService {
             after: afterContent,
             filesha: file.sha,
             diff,
+            translationChanges: parseTranslationChanges(beforeContent, afterContent),
           };
         } catch (fileError) {
           console.error(
@@ -1071,15 +1728,93 @@ export class GitHubService {
       }
     });
 
+    // Surface provenance so reviewers can prioritize machine output
+    const provenanceByLabel = parseProvenanceByLabel(fileContent);
+    const withProvenance = (entry) => ({
+      ...entry,
+      provenance: provenanceByLabel.get(entry.label) || {},
+    });
+    const machineTranslations = [];
+    [...approvedLabels, ...unapprovedLabels].forEach((entry) => {
+      Object.entries(provenanceByLabel.get(entry.label) || {}).forEach(
+        ([language, record]) => {
+          if (record?.origin && record.origin !== "human") {
+            machineTranslations.push({
+              label: entry.label,
+              language,
+              ...record,
+              approved: approvedLabels.includes(entry),
+            });
+          }
+        }
+      );
+    });
+
     return {
       approved: unapprovedLabels.length === 0 && approvedLabels.length > 0,
-      approvedLabels,
-      unapprovedLabels,
+      approvedLabels: approvedLabels.map(withProvenance),
+      unapprovedLabels: unapprovedLabels.map(withProvenance),
+      machineTranslations,
       eligible_reviewers: reviewers,
       checked_file: decodedFilePath,
     };
   }
 
+  /**
+   * Label approvals given by reviewers in the open pull request of a branch,
+   * per file path ({ path: [{ label, language, reviewer, timestamp }] })
+   * Approvals are the "approved-<label>: <language>" comments of approveFile;
+   * a branch without a pull request has none
+   */
+  async getLabelApprovals(repo, branch) {
+    const { data: pulls } = await this.octokit.request(
+      "GET /repos/{owner}/{repo}/pulls",
+      {
+        owner: this.owner,
+        repo,
+        head: `${this.owner}:${branch}`,
+        base: "main",
+        headers: {
+          "X-GitHub-Api-Version": GITHUB_API_VERSION,
+        },
+      }
+    );
+    if (!pulls.length) {
+      return {};
+    }
+
+    const [reviewers, comments] = await Promise.all([
+      this.getReviewers(repo).catch((error) => {
+        console.warn(`No reviewers for ${repo}:`, error.message);
+        return [];
+      }),
+      this.octokit.paginate("GET /repos/{owner}/{repo}/pulls/{pull_number}/comments", {
+        owner: this.owner,
+        repo,
+        pull_number: pulls[0].number,
+        per_page: 100,
+      }),
+    ]);
+
+    const approvals = {};
+    comments.forEach((comment) => {
+      const match = /^approved-(.+?):\s*(\S+)/i.exec(comment.body.trim());
+      if (!match || !reviewers.includes(comment.user?.login)) {
+        return;
+      }
+      approvals[comment.path] = [
+        ...(approvals[comment.path] || []),
+        {
+          label: match[1].trim(),
+          language: match[2],
+          reviewer: comment.user.login,
+          timestamp: comment.created_at,
+        },
+      ];
+    });
+    return approvals;
+  }
+
   /**
    * Approve a file in a PR by adding a comment
    */
@@ -1545,6 +2280,7 @@ export class GitHubService {
       // Read template content with individual error handling
       let configTemplate,
         reviewersTemplate,
+        glossaryTemplate,
         ldesFragmentTemplate,
         ldesSyncTemplate;
 
@@ -1558,6 +2294,10 @@ export class GitHubService {
           path.join(templatesDir, "reviewers.json"),
           "utf-8"
         );
+        glossaryTemplate = await fs.readFile(
+          path.join(templatesDir, "glossary.json"),
+          "utf-8"
+        );
         ldesFragmentTemplate = await fs.readFile(
           path.join(templatesDir, "ldes_fragment_maker.yml"),
           "utf-8"
@@ -1595,6 +2335,11 @@ export class GitHubService {
           content: reviewersTemplate,
           message: "Add empty reviewers.json",
         },
+        {
+          path: "glossary.json",
+          content: glossaryTemplate,
+          message: "Add empty glossary.json",
+        },
         {
           path: ".github/workflows/ldes_fragment_maker.yml",
           content: ldesFragmentTemplate,
@@ -1778,3 +2523,53 @@ export class GitHubOrgService {
     };
   }
 }
+
+/**
+ * Commit message of a multi-file translation update: a summary line, then the
+ * changed labels of each file with their languages (+ marks added ones)
+ */
+function describeTranslationCommit(results) {
+  const lines = results.map((result) => {
+    const labels = result.report
+      .filter((entry) => entry.added.length > 0 || entry.updated.length > 0)
+      .map((entry) => {
+        const languages = [
+          ...entry.updated,
+          ...entry.added.map((language) => `+${language}`),
+        ];
+        return `${entry.label}${entry.new ? " (new)" : ""} [${languages.join(", ")}]`;
+      });
+    return `- ${result.filename}: ${labels.join(", ")}`;
+  });
+  const files = results.length === 1 ? results[0].filename : `${results.length} files`;
+  return `Update translations in ${files}\n\n${lines.join("\n")}`;
+}
+
+/**
+ * Translation changes between two raw label file versions, or an empty list
+ * when either version is not valid YAML
+ */
+function parseTranslationChanges(beforeContent, afterContent) {
+  try {
+    return getTranslationChanges(parse(beforeContent), parse(afterContent));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Provenance records of each label of a raw label file, keyed by label name
+ */
+function parseProvenanceByLabel(fileContent) {
+  try {
+    const content = parse(fileContent);
+    if (!isLabelFileContent(content)) {
+      return new Map();
+    }
+    return new Map(
+      content.labels.map((label) => [label.name, getLabelProvenance(label)])
+    );
+  } catch (error) {
+    return new Map();
+  }
+}
@@ -0,0 +1,123 @@
+import { ERROR_MESSAGES, STATUS_CODES } from "../utils/constants.js";
+
+/**
+ * Terminology checks against a repository glossary (glossary.json)
+ * Each entry maps a source term to the mandated term per target language:
+ *   { "term": "salinity", "translations": { "fr": "salinité" }, "note": "..." }
+ * A translation may also be an array of accepted variants.
+ */
+export class GlossaryService {
+  /**
+   * Validate and normalize glossary entries, throwing a 400-style error on bad input
+   */
+  static validateEntries(entries) {
+    if (!Array.isArray(entries)) {
+      throw badRequest(ERROR_MESSAGES.GLOSSARY_INVALID);
+    }
+
+    const seen = new Set();
+    return entries.map((entry, index) => {
+      const term = typeof entry?.term === "string" ? entry.term.trim() : "";
+      if (!term) {
+        throw badRequest(`${ERROR_MESSAGES.GLOSSARY_INVALID} Entry ${index} has no "term".`);
+      }
+
+      const key = term.toLowerCase();
+      if (seen.has(key)) {
+        throw badRequest(`${ERROR_MESSAGES.GLOSSARY_INVALID} Duplicate term "${term}".`);
+      }
+      seen.add(key);
+
+      const translations = entry.translations || {};
+      if (typeof translations !== "object" || Array.isArray(translations)) {
+        throw badRequest(
+          `${ERROR_MESSAGES.GLOSSARY_INVALID} "translations" of "${term}" must be an object.`
+        );
+      }
+      Object.entries(translations).forEach(([language, value]) => {
+        const variants = Array.isArray(value) ? value : [value];
+        if (!variants.length || variants.some((v) => typeof v !== "string" || !v.trim())) {
+          throw badRequest(
+            `${ERROR_MESSAGES.GLOSSARY_INVALID} Translation "${language}" of "${term}" must be a non-empty string or array of strings.`
+          );
+        }
+      });
+
+      const normalized = { term, translations };
+      if (entry.note) {
+        normalized.note = entry.note;
+      }
+      return normalized;
+    });
+  }
+
+  /**
+   * Find glossary terms occurring in a source text
+   * Longer terms win over shorter terms they contain ("sediment trap" over "sediment")
+   */
+  static findTerms(text, entries) {
+    const sorted = [...entries].sort((a, b) => b.term.length - a.term.length);
+    const taken = [];
+    const found = [];
+
+    sorted.forEach((entry) => {
+      const regex = termRegex(entry.term, "giu");
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const overlaps = taken.some(([s, e]) => start < e && end > s);
+        if (!overlaps) {
+          taken.push([start, end]);
+          found.push({ entry, position: start, matched: match[0] });
+          break;
+        }
+      }
+    });
+
+    return found.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Check a translation against the glossary terms found in its source text
+   */
+  static checkTranslation(sourceText, translation, entries, target) {
+    const terms = this.findTerms(sourceText, entries).map(({ entry, matched, position }) => {
+      const expected = entry.translations?.[target];
+      const variants = expected === undefined ? [] : [].concat(expected);
+      const result = {
+        term: entry.term,
+        matched,
+        position,
+        expected: variants,
+        used:
+          variants.length === 0
+            ? null
+            : variants.some((variant) => termRegex(variant, "iu").test(translation || "")),
+      };
+      if (entry.note) {
+        result.note = entry.note;
+      }
+      return result;
+    });
+
+    return {
+      terms,
+      compliant: terms.every((term) => term.used !== false),
+    };
+  }
+}
+
+/**
+ * Case-insensitive whole-word regex for a (possibly multi-word) term
+ */
+function termRegex(term, flags) {
+  const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags);
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = STATUS_CODES.BAD_REQUEST;
+  return error;
+}
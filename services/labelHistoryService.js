@@ -0,0 +1,172 @@
+import { parse } from "yaml";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { canonicalizeLanguageTag } from "../utils/languages.js";
+import {
+  getLabelProvenance,
+  isLabelFileContent,
+  findLabelIndexes,
+} from "../utils/labelFile.js";
+import {
+  ERROR_MESSAGES,
+  STATUS_CODES,
+  LABEL_FILE_CONCURRENCY,
+  LABEL_HISTORY_DEFAULTS,
+} from "../utils/constants.js";
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = STATUS_CODES.BAD_REQUEST;
+  return error;
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.status = STATUS_CODES.NOT_FOUND;
+  return error;
+}
+
+// Translations and provenance of a label in one revision of a label file,
+// null when the file or the label does not exist in it; a repeated name
+// refers to its first label, "altLabel.2" to the second one
+function readLabel(content, key) {
+  if (!isLabelFileContent(content)) {
+    return null;
+  }
+  const label = content.labels[findLabelIndexes(content.labels, key)[0]];
+  if (!label) {
+    return null;
+  }
+
+  const translations = {};
+  (label.translations || []).forEach((translation) => {
+    Object.entries(translation || {}).forEach(([language, value]) => {
+      translations[canonicalizeLanguageTag(language) || language] = value ? String(value) : null;
+    });
+  });
+  const provenance = Object.fromEntries(
+    Object.entries(getLabelProvenance(label)).map(([language, record]) => [
+      canonicalizeLanguageTag(language) || language,
+      record,
+    ])
+  );
+  return { translations, provenance };
+}
+
+/**
+ * Change history of single labels, rebuilt from the revisions of their label
+ * file so that reviewers can see who changed a translation, when and in which
+ * pull request
+ */
+export class LabelHistoryService {
+  /**
+   * Timeline of the translations of one label of a file, per language and
+   * newest first: before and after values, provenance, commit, author, date
+   * and the associated pull request
+   * The last limit commits touching the file are walked; when there are more
+   * (truncated), the oldest walked revision only serves as the starting point
+   */
+  static async getLabelHistory(
+    githubService,
+    { repo, branch, path, label, language, limit }
+  ) {
+    const tag = language ? canonicalizeLanguageTag(language) : null;
+    if (language && !tag) {
+      throw badRequest(ERROR_MESSAGES.INVALID_LANGUAGE_TAG);
+    }
+    const maxCommits = limit === undefined ? LABEL_HISTORY_DEFAULTS.LIMIT : Number(limit);
+    if (
+      !Number.isInteger(maxCommits) ||
+      maxCommits < 1 ||
+      maxCommits > LABEL_HISTORY_DEFAULTS.MAX_LIMIT
+    ) {
+      throw badRequest(
+        `"limit" must be an integer between 1 and ${LABEL_HISTORY_DEFAULTS.MAX_LIMIT}.`
+      );
+    }
+
+    const commits = await githubService.getFileCommits(repo, path, branch, maxCommits + 1);
+    if (commits.length === 0) {
+      throw notFound(`${ERROR_MESSAGES.FILE_HISTORY_NOT_FOUND} (${path})`);
+    }
+    const truncated = commits.length > maxCommits;
+
+    const revisions = await mapWithConcurrency(commits, LABEL_FILE_CONCURRENCY, async (commit) => {
+      try {
+        const { text } = await githubService.getFileText(repo, path, commit.sha);
+        return { commit, state: readLabel(parse(text), label) };
+      } catch (error) {
+        if (error.status === STATUS_CODES.NOT_FOUND) {
+          // Deleted in this commit
+          return { commit, state: null };
+        }
+        if (error.name === "YAMLParseError") {
+          console.warn(`Skipping unparsable revision ${commit.sha} of ${path}`);
+          return { commit, skipped: true };
+        }
+        throw error;
+      }
+    });
+    revisions.reverse();
+    if (revisions.every((revision) => !revision.state)) {
+      throw notFound(`${ERROR_MESSAGES.LABEL_NOT_FOUND} (${label})`);
+    }
+
+    const events = [];
+    let previous = truncated ? revisions.shift().state : null;
+    revisions
+      .filter((revision) => !revision.skipped)
+      .forEach(({ commit, state }) => {
+        const before = previous?.translations || {};
+        const after = state?.translations || {};
+        [...new Set([...Object.keys(before), ...Object.keys(after)])]
+          .filter((key) => !tag || key === tag)
+          .filter((key) => (before[key] ?? null) !== (after[key] ?? null))
+          .forEach((key) => {
+            events.push({
+              language: key,
+              before: before[key] ?? null,
+              after: after[key] ?? null,
+              provenance: (after[key] && state.provenance[key]) || null,
+              commit: {
+                sha: commit.sha,
+                message: commit.commit.message,
+                url: commit.html_url,
+              },
+              author: {
+                login: commit.author?.login || null,
+                name: commit.commit.author?.name || null,
+              },
+              date: commit.commit.author?.date || commit.commit.committer?.date || null,
+            });
+          });
+        previous = state;
+      });
+
+    const shas = [...new Set(events.map((event) => event.commit.sha))];
+    const pullRequests = new Map(
+      await mapWithConcurrency(shas, LABEL_FILE_CONCURRENCY, async (sha) => [
+        sha,
+        (await githubService.getCommitPullRequests(repo, sha))[0] || null,
+      ])
+    );
+
+    const languages = {};
+    events.reverse().forEach((event) => {
+      languages[event.language] = [
+        ...(languages[event.language] || []),
+        { ...event, pullRequest: pullRequests.get(event.commit.sha) },
+      ];
+    });
+
+    return {
+      repo,
+      branch,
+      path,
+      label,
+      commits: Math.min(commits.length, maxCommits),
+      truncated,
+      current: revisions[revisions.length - 1]?.state?.translations || null,
+      languages,
+    };
+  }
+}
@@ -0,0 +1,346 @@
+import { normalizeText } from "../utils/textSimilarity.js";
+import { canonicalizeLanguageTag } from "../utils/languages.js";
+import {
+  getLabelLines,
+  getLabelProvenance,
+  getConfigSourceLanguage,
+} from "../utils/labelFile.js";
+import {
+  ERROR_MESSAGES,
+  STATUS_CODES,
+  LABEL_QUERY_DEFAULTS,
+} from "../utils/constants.js";
+
+// Sort key of a label for each sort field
+const SORT_KEYS = {
+  path: (label) => label.path,
+  name: (label) => String(label.name ?? ""),
+  source: (label) => normalizeText(label.source),
+  target: (label, language) => normalizeText(label.translations[language]),
+};
+
+const SEARCH_SCOPES = ["source", "target", "all"];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = STATUS_CODES.BAD_REQUEST;
+  return error;
+}
+
+// Search text, ignoring case and accents ("temperature" finds "Température")
+function foldText(text) {
+  return normalizeText(text).normalize("NFD").replace(/\p{M}/gu, "");
+}
+
+function isUntranslated(label, language) {
+  return !String(label.translations[language] ?? "").trim();
+}
+
+// Optional "true"/"false" query parameter
+function parseFlag(value, name) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  if (value !== "true" && value !== "false") {
+    throw badRequest(`"${name}" must be "true" or "false".`);
+  }
+  return value === "true";
+}
+
+/**
+ * Server-side search over the labels of a branch so that the frontend does
+ * not have to download and filter every label file
+ */
+export class LabelQueryService {
+  // Collected labels per branch head, least recently used first:
+  // "owner/repo@sha:path" -> { config, sourceLanguage, files, labels }
+  static cache = new Map();
+
+  /**
+   * Every label of a branch with its file path and line, source text,
+   * translations keyed by canonical language tag and provenance
+   * The source language comes from config.yml (sources[].language), default "en"
+   * The languages changed against main (changes) and approved in the
+   * branch's pull request (approvals) are only looked up when asked for,
+   * and are null otherwise
+   * Files are read at the branch head, and what is read is kept per head sha
+   * so that repeated queries of an unchanged branch only resolve its head
+   */
+  static async collectLabels(
+    githubService,
+    repo,
+    branch,
+    { path = "", changes: withChanges = false, approvals: withApprovals = false } = {}
+  ) {
+    const [collected, changes, approvals] = await Promise.all([
+      this.readLabels(githubService, repo, branch, path),
+      withChanges ? githubService.getBranchTranslationChanges(repo, branch) : null,
+      withApprovals ? githubService.getLabelApprovals(repo, branch) : null,
+    ]);
+    const canonical = (language) => canonicalizeLanguageTag(language) || language;
+
+    const labels = collected.labels.map((label) => {
+      // Approvals name labels case-insensitively, like checkFileApproval
+      const name = String(label.name).toLowerCase();
+      const languagesOf = (entries) => [
+        ...new Set(
+          (entries || [])
+            .filter((entry) => String(entry.label).toLowerCase() === name)
+            .map((entry) => canonical(entry.language))
+        ),
+      ];
+
+      return {
+        ...label,
+        changedLanguages: changes ? languagesOf(changes[label.path]) : null,
+        approvedLanguages: approvals ? languagesOf(approvals[label.path]) : null,
+      };
+    });
+
+    return { ...collected, labels };
+  }
+
+  /**
+   * config.yml, source language and labels of the label files of a branch
+   * (under a path prefix), from the cache when its head has been read before
+   */
+  static async readLabels(githubService, repo, branch, path) {
+    const head = await githubService.getBranchHeadSha(repo, branch);
+    const key = `${githubService.owner}/${repo}@${head}:${path}`;
+    const cached = this.cache.get(key);
+    if (cached) {
+      // Re-insert to mark as most recently used
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+
+    const [config, files] = await Promise.all([
+      githubService.getRepositoryConfig(repo, head),
+      githubService.getLabelFileTexts(repo, head, path),
+    ]);
+    const sourceLanguage =
+      canonicalizeLanguageTag(getConfigSourceLanguage(config)) || "en";
+    const canonical = (language) => canonicalizeLanguageTag(language) || language;
+
+    const labels = files.flatMap((file) => {
+      const lines = getLabelLines(file.text);
+      return file.content.labels.map((label, index) => {
+        const translations = {};
+        (label.translations || []).forEach((translation) => {
+          Object.entries(translation || {}).forEach(([language, value]) => {
+            translations[canonical(language)] = value || null;
+          });
+        });
+
+        return {
+          id: `${file.path}#${index}`,
+          path: file.path,
+          line: lines[index],
+          index,
+          name: label.name,
+          source: translations[sourceLanguage] ?? null,
+          translations,
+          provenance: getLabelProvenance(label),
+        };
+      });
+    });
+
+    const collected = { config, sourceLanguage, files: files.length, labels };
+    this.cache.set(key, collected);
+    while (this.cache.size > LABEL_QUERY_DEFAULTS.CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return collected;
+  }
+
+  /**
+   * Filter, sort and page the labels of a branch
+   * Filters (all optional, query string values): path (prefix), name,
+   * language, untranslated, changed and approved ("true"/"false", per
+   * language when one is given; untranslated needs one) and q, a case and
+   * accent insensitive search in the source text, the target language or all
+   * translations (searchIn)
+   * sort is path (default), name, source or target, order asc or desc
+   * Changes and approvals are only looked up for the changed and approved
+   * filters; without them changed and approved are null
+   * Pages of limit labels continue from the opaque nextCursor of the previous
+   * page, which stays valid when labels are added or removed
+   */
+  static async query(githubService, repo, branch, options = {}) {
+    const criteria = this.parseQuery(options);
+    const { sourceLanguage, files, labels } = await this.collectLabels(
+      githubService,
+      repo,
+      branch,
+      {
+        path: criteria.path,
+        changes: criteria.changed !== undefined,
+        approvals: criteria.approved !== undefined,
+      }
+    );
+
+    const { language } = criteria;
+    // null when the changes or approvals were not looked up
+    const has = (list) =>
+      list ? (language ? list.includes(language) : list.length > 0) : null;
+    const search = criteria.q ? foldText(criteria.q) : null;
+    const searchedTexts = (label) => {
+      const targets = language
+        ? [label.translations[language]]
+        : Object.entries(label.translations)
+            .filter(([tag]) => tag !== sourceLanguage)
+            .map(([, value]) => value);
+      return {
+        source: [label.source],
+        target: targets,
+        all: [label.source, ...targets],
+      }[criteria.searchIn];
+    };
+
+    const matches = labels
+      .filter((label) => !criteria.name || label.name === criteria.name)
+      .filter(
+        (label) =>
+          criteria.untranslated === undefined ||
+          isUntranslated(label, language) === criteria.untranslated
+      )
+      .filter(
+        (label) =>
+          criteria.changed === undefined || has(label.changedLanguages) === criteria.changed
+      )
+      .filter(
+        (label) =>
+          criteria.approved === undefined || has(label.approvedLanguages) === criteria.approved
+      )
+      .filter(
+        (label) =>
+          !search || searchedTexts(label).some((text) => foldText(text).includes(search))
+      )
+      .map((label) => ({ ...label, key: SORT_KEYS[criteria.sort](label, language) }));
+
+    const direction = criteria.order === "desc" ? -1 : 1;
+    const compare = (a, b) =>
+      direction * a.key.localeCompare(b.key) ||
+      a.path.localeCompare(b.path) ||
+      a.index - b.index;
+    matches.sort(compare);
+
+    const start = criteria.cursor
+      ? matches.findIndex((label) => compare(label, criteria.cursor) > 0)
+      : 0;
+    const page = start === -1 ? [] : matches.slice(start, start + criteria.limit);
+    const last = page[page.length - 1];
+    const hasMore = start !== -1 && start + criteria.limit < matches.length;
+
+    return {
+      repo,
+      branch,
+      sourceLanguage,
+      files,
+      total: matches.length,
+      labels: page.map(({ key, index, ...label }) => ({
+        ...label,
+        changed: has(label.changedLanguages),
+        approved: has(label.approvedLanguages),
+      })),
+      nextCursor: hasMore
+        ? this.encodeCursor({ key: last.key, path: last.path, index: last.index })
+        : null,
+    };
+  }
+
+  /**
+   * Validate the query string options of a label query
+   */
+  static parseQuery({
+    path = "",
+    name,
+    language,
+    untranslated,
+    changed,
+    approved,
+    q,
+    searchIn = "all",
+    sort = "path",
+    order = "asc",
+    limit,
+    cursor,
+  }) {
+    // Repeated parameters (?q=a&q=b) arrive as arrays
+    const repeated = Object.entries({
+      path,
+      name,
+      language,
+      untranslated,
+      changed,
+      approved,
+      q,
+      searchIn,
+      sort,
+      order,
+      limit,
+      cursor,
+    }).find(([, value]) => value !== undefined && typeof value !== "string");
+    if (repeated) {
+      throw badRequest(`"${repeated[0]}" must be given once.`);
+    }
+
+    const tag = language ? canonicalizeLanguageTag(language) : null;
+    if (language && !tag) {
+      throw badRequest(ERROR_MESSAGES.INVALID_LANGUAGE_TAG);
+    }
+
+    const criteria = {
+      path,
+      name,
+      language: tag,
+      untranslated: parseFlag(untranslated, "untranslated"),
+      changed: parseFlag(changed, "changed"),
+      approved: parseFlag(approved, "approved"),
+      q: q && q.trim() ? q : null,
+      searchIn,
+      sort,
+      order,
+      limit: limit === undefined ? LABEL_QUERY_DEFAULTS.LIMIT : Number(limit),
+      cursor: cursor ? this.decodeCursor(cursor) : null,
+    };
+
+    if (!tag && (criteria.untranslated !== undefined || sort === "target")) {
+      throw badRequest(ERROR_MESSAGES.LABEL_QUERY_LANGUAGE_REQUIRED);
+    }
+    if (!SORT_KEYS[sort] || !["asc", "desc"].includes(order) || !SEARCH_SCOPES.includes(searchIn)) {
+      throw badRequest(ERROR_MESSAGES.INVALID_LABEL_QUERY);
+    }
+    if (
+      !Number.isInteger(criteria.limit) ||
+      criteria.limit < 1 ||
+      criteria.limit > LABEL_QUERY_DEFAULTS.MAX_LIMIT
+    ) {
+      throw badRequest(
+        `"limit" must be an integer between 1 and ${LABEL_QUERY_DEFAULTS.MAX_LIMIT}.`
+      );
+    }
+    return criteria;
+  }
+
+  static encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+      if (
+        typeof position.key === "string" &&
+        typeof position.path === "string" &&
+        Number.isInteger(position.index)
+      ) {
+        return position;
+      }
+    } catch (error) {
+      // Reported below
+    }
+    throw badRequest(ERROR_MESSAGES.INVALID_CURSOR);
+  }
+}
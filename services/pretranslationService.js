@@ -0,0 +1,164 @@
+import { TranslationService } from "./translationService.js";
+import { canonicalizeLanguageTag } from "../utils/languages.js";
+import { getConfigSourceLanguage, getSuggestionProvenance } from "../utils/labelFile.js";
+
+// Entry of a label's translations in a language, matching tags canonically
+// ("FR" or "fr" for fr); undefined when the label has none
+function findTranslation(label, tag) {
+  for (const entry of label.translations || []) {
+    const key = Object.keys(entry || {}).find(
+      (language) => (canonicalizeLanguageTag(language) || language) === tag
+    );
+    if (key !== undefined) {
+      return { value: entry[key] };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Machine pre-translation of a whole branch: every empty entry of the target
+ * language is filled from the suggestion pipeline (translation memory,
+ * glossary, machine translation) and all changed files are committed at once,
+ * leaving translators to post-edit instead of translating label by label
+ */
+export class PretranslationService {
+  /**
+   * Read a branch and list its slots: the empty target-language entries
+   * whose label has a source text, with that text
+   * Languages are compared by canonical tag, which target is returned as
+   * Returns { source, target, glossary, files, slots }
+   */
+  static async collectSlots(githubService, { repo, branch, target: requested }) {
+    const [config, glossary, files] = await Promise.all([
+      githubService.getRepositoryConfig(repo, branch),
+      githubService.getGlossary(repo),
+      githubService.getLabelFileTexts(repo, branch),
+    ]);
+    const source = canonicalizeLanguageTag(getConfigSourceLanguage(config)) || "en";
+    const target = canonicalizeLanguageTag(requested) || requested;
+
+    // Every empty target entry whose label has a source text
+    const slots = [];
+    files.forEach((file) => {
+      const counts = {};
+      file.content.labels.forEach((label) => {
+        counts[label.name] = (counts[label.name] || 0) + 1;
+      });
+      const occurrences = {};
+      file.content.labels.forEach((label) => {
+        occurrences[label.name] = (occurrences[label.name] || 0) + 1;
+        const sourceText = findTranslation(label, source)?.value;
+        const targetEntry = findTranslation(label, target);
+
+        if (
+          target === source ||
+          !targetEntry ||
+          (targetEntry.value && String(targetEntry.value).trim()) ||
+          typeof sourceText !== "string" ||
+          !sourceText.trim()
+        ) {
+          return;
+        }
+        // Repeated names such as altLabel are edited one occurrence at a time
+        const key =
+          counts[label.name] > 1 ? `${label.name}.${occurrences[label.name]}` : label.name;
+        slots.push({ file, label, key, text: sourceText });
+      });
+    });
+
+    return { source, target, glossary, files, slots };
+  }
+
+  /**
+   * Fill the empty target-language entries of all label files in a branch
+   * With dryRun the suggestions are returned without committing
+   * collected is the result of collectSlots when the caller already read the
+   * branch, such as to charge its quota
+   */
+  static async pretranslateBranch(
+    githubService,
+    { repo, branch, target: requested, provider, dryRun = false },
+    collected = null
+  ) {
+    const { source, target, glossary, files, slots } =
+      collected || (await this.collectSlots(githubService, { repo, branch, target: requested }));
+
+    const { results } = await TranslationService.getBatchSuggestions(
+      slots.map((slot, index) => ({ id: index, text: slot.text, source, target })),
+      { provider, glossary: glossary.entries }
+    );
+
+    let filled = [];
+    const failed = [];
+    // Edits per file path in the form taken by editLabelFile
+    const edits = new Map();
+    results.forEach((result, index) => {
+      const slot = slots[index];
+      if (result.error) {
+        failed.push({ file: slot.file.path, label: slot.label.name, error: result.error });
+        return;
+      }
+
+      const fileEdits = edits.get(slot.file.path) || {
+        filename: slot.file.path,
+        baseSha: slot.file.sha,
+        translations: {},
+        provenance: {},
+      };
+      fileEdits.translations[slot.key] = { [target]: result.suggestion };
+      fileEdits.provenance[slot.key] = { [target]: getSuggestionProvenance(result.provider) };
+      edits.set(slot.file.path, fileEdits);
+      filled.push({
+        key: slot.key,
+        file: slot.file.path,
+        label: slot.label.name,
+        source: slot.text,
+        translation: result.suggestion,
+        provider: result.provider,
+        confidence: result.confidence,
+      });
+    });
+
+    // Edited in place like translation updates; entries filled by someone
+    // else since the files were read are conflicts and keep their value
+    let commit = null;
+    let conflicts = [];
+    let changedFiles = edits.size;
+    if (!dryRun && edits.size > 0) {
+      const update = await githubService.updateFilesWithTranslations(
+        repo,
+        branch,
+        [...edits.values()],
+        `Pre-translate ${filled.length} empty ${target} entries`
+      );
+      commit = update.commit;
+      changedFiles = update.summary.changedFiles;
+      conflicts = update.files.flatMap((file) =>
+        (file.merge?.conflicts || []).map((conflict) => ({ file: file.filename, ...conflict }))
+      );
+      const conflicting = new Set(conflicts.map((conflict) => `${conflict.file}#${conflict.label}`));
+      filled = filled.filter((entry) => !conflicting.has(`${entry.file}#${entry.key}`));
+    }
+
+    return {
+      repo,
+      branch,
+      source,
+      target,
+      dryRun,
+      commit,
+      filled: filled.map(({ key, ...entry }) => entry),
+      failed,
+      conflicts,
+      summary: {
+        files: files.length,
+        changedFiles,
+        empty: slots.length,
+        filled: filled.length,
+        failed: failed.length,
+        conflicts: conflicts.length,
+      },
+    };
+  }
+}
@@ -0,0 +1,229 @@
+import { createProvider, PROVIDER_NAMES } from "./translationProviders.js";
+import {
+  ERROR_MESSAGES,
+  STATUS_CODES,
+  TRANSLATION_DEFAULTS,
+} from "../utils/constants.js";
+
+/**
+ * Registry of machine-translation providers with health tracking,
+ * per-call timeouts and automatic fallback along the configured chain
+ */
+export class ProviderRegistry {
+  constructor(options = {}) {
+    this.order = options.order || parseProviderList(process.env.TRANSLATION_PROVIDERS);
+    this.timeoutMs =
+      options.timeoutMs ||
+      Number(process.env.TRANSLATION_TIMEOUT_MS) ||
+      TRANSLATION_DEFAULTS.TIMEOUT_MS;
+    this.failureThreshold =
+      options.failureThreshold ||
+      Number(process.env.PROVIDER_FAILURE_THRESHOLD) ||
+      TRANSLATION_DEFAULTS.FAILURE_THRESHOLD;
+    this.cooldownMs =
+      options.cooldownMs ||
+      Number(process.env.PROVIDER_COOLDOWN_MS) ||
+      TRANSLATION_DEFAULTS.COOLDOWN_MS;
+
+    this.providers = new Map();
+    this.health = new Map();
+    for (const name of PROVIDER_NAMES) {
+      this.register(createProvider(name));
+    }
+  }
+
+  /**
+   * Register (or replace) a provider instance
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    this.health.set(provider.name, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null,
+      lastLatencyMs: null,
+      disabledUntil: 0,
+    });
+  }
+
+  /**
+   * Get a provider by name, throwing a 400-style error if it does not exist
+   */
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      const error = new Error(`${ERROR_MESSAGES.UNKNOWN_PROVIDER}: ${name}`);
+      error.status = STATUS_CODES.BAD_REQUEST;
+      throw error;
+    }
+    return provider;
+  }
+
+  /**
+   * Ordered list of providers to try, starting with the preferred one if given
+   * With fallback disabled only the preferred provider is tried
+   */
+  getChain(preferred, fallback = true) {
+    if (preferred) {
+      this.get(preferred);
+      if (!fallback) {
+        return [preferred];
+      }
+      return [preferred, ...this.order.filter((name) => name !== preferred)];
+    }
+    return this.order;
+  }
+
+  /**
+   * Whether a provider can currently be called
+   */
+  isAvailable(name) {
+    const provider = this.providers.get(name);
+    const health = this.health.get(name);
+    return Boolean(
+      provider && provider.isConfigured() && health.disabledUntil <= Date.now()
+    );
+  }
+
+  /**
+   * Whether a provider takes surrounding context into account
+   */
+  supportsContext(name) {
+    return Boolean(this.providers.get(name)?.supportsContext);
+  }
+
+  /**
+   * Translate text, falling back to the next provider in the chain on failure
+   */
+  async translate(text, { source, target, provider: preferred, fallback, context } = {}) {
+    const failedProviders = [];
+
+    for (const name of this.getChain(preferred, fallback)) {
+      if (!this.isAvailable(name)) {
+        // Only report skips the caller explicitly asked for
+        if (name === preferred) {
+          failedProviders.push({ provider: name, error: "Provider unavailable" });
+        }
+        continue;
+      }
+
+      const startedAt = Date.now();
+      const usedContext = Boolean(context) && this.supportsContext(name);
+      try {
+        const result = await this.callWithTimeout(this.providers.get(name), text, {
+          source,
+          target,
+          context: usedContext ? context : undefined,
+        });
+        this.recordSuccess(name, Date.now() - startedAt);
+        return { ...result, provider: name, usedContext, failedProviders };
+      } catch (error) {
+        console.warn(`Translation provider ${name} failed:`, error.message);
+        this.recordFailure(name, error);
+        failedProviders.push({ provider: name, error: error.message });
+      }
+    }
+
+    const error = new Error(ERROR_MESSAGES.NO_PROVIDER_AVAILABLE);
+    error.failedProviders = failedProviders;
+    throw error;
+  }
+
+  /**
+   * Call a provider, aborting it once the configured timeout elapses
+   */
+  async callWithTimeout(provider, text, options) {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        provider.translate(text, { ...options, signal: controller.signal }),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  recordSuccess(name, latencyMs) {
+    const health = this.health.get(name);
+    health.successes += 1;
+    health.consecutiveFailures = 0;
+    health.lastSuccessAt = new Date().toISOString();
+    health.lastLatencyMs = latencyMs;
+  }
+
+  recordFailure(name, error) {
+    const health = this.health.get(name);
+    health.failures += 1;
+    health.consecutiveFailures += 1;
+    health.lastError = error.message;
+    health.lastErrorAt = new Date().toISOString();
+
+    // Take the provider out of rotation for a while after repeated failures
+    if (health.consecutiveFailures >= this.failureThreshold) {
+      health.disabledUntil = Date.now() + this.cooldownMs;
+    }
+  }
+
+  /**
+   * Health report for every registered provider
+   */
+  getHealth() {
+    return Array.from(this.providers.values()).map((provider) => {
+      const health = this.health.get(provider.name);
+      let status = "healthy";
+      if (!provider.isConfigured()) {
+        status = "unconfigured";
+      } else if (health.disabledUntil > Date.now()) {
+        status = "unhealthy";
+      } else if (health.consecutiveFailures > 0) {
+        status = "degraded";
+      }
+
+      return {
+        name: provider.name,
+        status,
+        inChain: this.order.includes(provider.name),
+        successes: health.successes,
+        failures: health.failures,
+        consecutiveFailures: health.consecutiveFailures,
+        lastError: health.lastError,
+        lastErrorAt: health.lastErrorAt,
+        lastSuccessAt: health.lastSuccessAt,
+        lastLatencyMs: health.lastLatencyMs,
+        disabledUntil: health.disabledUntil
+          ? new Date(health.disabledUntil).toISOString()
+          : null,
+      };
+    });
+  }
+}
+
+/**
+ * Parse a comma-separated provider list such as "deepl,google,stub"
+ */
+function parseProviderList(value) {
+  const names = (value || TRANSLATION_DEFAULTS.PROVIDERS)
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => name);
+
+  const unknown = names.filter((name) => !PROVIDER_NAMES.includes(name));
+  if (unknown.length > 0) {
+    console.warn(`Ignoring unknown translation providers: ${unknown.join(", ")}`);
+  }
+
+  return names.filter((name) => PROVIDER_NAMES.includes(name));
+}
@@ -0,0 +1,363 @@
+import { normalizeText } from "../utils/textSimilarity.js";
+import {
+  getLabelTranslations,
+  getConfigSourceLanguage,
+} from "../utils/labelFile.js";
+
+const QA_SEVERITIES = ["error", "warning", "info"];
+
+// Length ratio bounds (translation / source) outside of which a translation
+// is flagged, only applied to sources long enough for the ratio to mean anything
+const LENGTH_RATIO = { MIN: 0.5, MAX: 2, MIN_SOURCE_LENGTH: 20 };
+
+// Sources up to this length are usually acronyms or codes that stay the same
+const UNTRANSLATED_MIN_LENGTH = 4;
+
+// Units commonly found in marine vocabularies, longest first so that "mg/l"
+// wins over "mg" and "km" over "m"
+const UNITS = [
+  "µmol/kg", "umol/kg", "mmol/m3", "mmol/m³", "mg/m3", "mg/m³", "W/m2", "W/m²",
+  "mg/l", "µg/l", "ug/l", "mg/L", "µg/L", "m/s", "cm/s", "km/h", "dbar", "mbar",
+  "hPa", "kPa", "MPa", "psu", "PSU", "ppm", "ppb", "ppt", "µmol", "umol", "mmol",
+  "mol", "kHz", "MHz", "Hz", "km2", "km²", "m2", "m²", "m3", "m³", "km", "cm",
+  "mm", "µm", "nm", "kg", "mg", "µg", "ml", "mL", "°C", "°F", "°", "‰", "%",
+  "bar", "Pa", "kn", "m", "g", "l", "L", "K",
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+const UNIT_PATTERN = UNITS.map(escapeRegExp).join("|");
+
+// A unit directly after a number, or on its own between brackets
+const NUMBER_UNIT_REGEX = new RegExp(
+  `\\d\\s*(${UNIT_PATTERN})(?![\\p{L}\\p{N}])`,
+  "gu"
+);
+const BRACKETED_UNIT_REGEX = new RegExp(`[[(]\\s*(${UNIT_PATTERN})\\s*[\\])]`, "gu");
+
+// Numbers, including thousands grouped with (non-breaking) spaces as in "10 000"
+const NUMBER_REGEX = /\d{1,3}(?:[ \u00a0\u202f]\d{3})+(?!\d)|\d+(?:[.,]\d+)*/g;
+
+const ELEMENTS = new Set(
+  (
+    "H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni " +
+    "Cu Zn Ga Ge As Se Br Kr Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I " +
+    "Xe Cs Ba La Ce Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu Hf Ta W Re Os Ir Pt " +
+    "Au Hg Tl Pb Bi Po At Rn Fr Ra Ac Th Pa U Np Pu"
+  ).split(" ")
+);
+
+const FORMULA_CANDIDATE_REGEX =
+  /(?<![\p{L}\p{N}])[A-Z][a-z]?[0-9₀-₉]*(?:[A-Z][a-z]?[0-9₀-₉]*|\([A-Z][A-Za-z0-9₀-₉]*\)[0-9₀-₉]*)*(?:[⁺⁻+-]|[0-9⁰¹²³⁴-⁹]*[⁺⁻])?(?![\p{L}\p{N}])/gu;
+
+const SUBSCRIPTS = "₀₁₂₃₄₅₆₇₈₉";
+const SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+const TRAILING_PUNCTUATION = {
+  ".": ".", "。": ".", "．": ".",
+  "!": "!", "！": "!",
+  "?": "?", "？": "?",
+  ":": ":", "：": ":",
+  ";": ";", "；": ";",
+  "…": "…",
+};
+
+/**
+ * Automated checks for the mechanical errors reviewers otherwise catch by eye:
+ * changed numbers and units, mangled chemical formulas, untranslated copies,
+ * trailing punctuation, unusual length and stray whitespace
+ */
+export class QaService {
+  /**
+   * Run every check on one source text and its translation
+   * Returns a list of findings { check, severity, message }
+   */
+  static checkPair(sourceText, translation) {
+    const source = String(sourceText ?? "");
+    const target = String(translation ?? "");
+    if (!source.trim() || !target.trim()) {
+      return [];
+    }
+
+    return [
+      ...this.checkNumbers(source, target),
+      ...this.checkUnits(source, target),
+      ...this.checkFormulas(source, target),
+      ...this.checkUntranslated(source, target),
+      ...this.checkPunctuation(source, target),
+      ...this.checkLength(source, target),
+      ...this.checkWhitespace(target),
+    ];
+  }
+
+  static checkNumbers(source, target) {
+    // Digits that are part of a formula (CO2) are checked by checkFormulas
+    const extract = (text) =>
+      (stripFormulas(text).match(NUMBER_REGEX) || []).map(normalizeNumber);
+    return compareTokens(extract(source), extract(target), "numbers", "error", "Number");
+  }
+
+  static checkUnits(source, target) {
+    return compareTokens(extractUnits(source), extractUnits(target), "units", "error", "Unit");
+  }
+
+  static checkFormulas(source, target) {
+    const targetFormulas = new Set(extractFormulas(target).map(normalizeFormula));
+    return extractFormulas(source)
+      .filter((formula) => !targetFormulas.has(normalizeFormula(formula)))
+      .map((formula) => ({
+        check: "formulas",
+        severity: "error",
+        message: `Chemical formula "${formula}" is missing or altered in the translation`,
+      }));
+  }
+
+  static checkUntranslated(source, target) {
+    const normalized = normalizeText(source);
+    if (
+      normalized.length < UNTRANSLATED_MIN_LENGTH ||
+      !/\p{Ll}/u.test(source) ||
+      normalized !== normalizeText(target)
+    ) {
+      return [];
+    }
+    return [
+      {
+        check: "untranslated",
+        severity: "warning",
+        message: "Translation is identical to the source text",
+      },
+    ];
+  }
+
+  static checkPunctuation(source, target) {
+    const sourceEnd = trailingPunctuation(source);
+    const targetEnd = trailingPunctuation(target);
+    if (sourceEnd === targetEnd) {
+      return [];
+    }
+
+    let message;
+    if (!targetEnd) {
+      message = `Source ends with "${sourceEnd}" but the translation does not`;
+    } else if (!sourceEnd) {
+      message = `Translation ends with "${targetEnd}" but the source does not`;
+    } else {
+      message = `Source ends with "${sourceEnd}" but the translation ends with "${targetEnd}"`;
+    }
+    return [{ check: "punctuation", severity: "warning", message }];
+  }
+
+  static checkLength(source, target) {
+    const sourceLength = source.trim().length;
+    if (sourceLength < LENGTH_RATIO.MIN_SOURCE_LENGTH) {
+      return [];
+    }
+
+    const ratio = target.trim().length / sourceLength;
+    if (ratio >= LENGTH_RATIO.MIN && ratio <= LENGTH_RATIO.MAX) {
+      return [];
+    }
+    return [
+      {
+        check: "length",
+        severity: "warning",
+        message: `Translation is ${ratio < 1 ? "much shorter" : "much longer"} than the source (length ratio ${ratio.toFixed(2)})`,
+      },
+    ];
+  }
+
+  static checkWhitespace(target) {
+    const findings = [];
+    if (/\S {2,}\S/.test(target)) {
+      findings.push({
+        check: "whitespace",
+        severity: "info",
+        message: "Translation contains double spaces",
+      });
+    }
+    if (target !== target.trim()) {
+      findings.push({
+        check: "whitespace",
+        severity: "info",
+        message: "Translation has leading or trailing whitespace",
+      });
+    }
+    return findings;
+  }
+
+  /**
+   * Run the checks over every translated label of a branch
+   * The source language comes from config.yml (sources[].language), default "en"
+   */
+  static async checkRepository(githubService, repo, branch, { languages } = {}) {
+    const [config, files] = await Promise.all([
+      githubService.getRepositoryConfig(repo, branch),
+      githubService.getLabelFiles(repo, branch),
+    ]);
+    const sourceLanguage = getConfigSourceLanguage(config) || "en";
+
+    const findings = [];
+    let checked = 0;
+
+    files.forEach(({ path: file, content }) => {
+      content.labels.forEach((label) => {
+        const values = getLabelTranslations(label);
+        const sourceText = values[sourceLanguage];
+        if (typeof sourceText !== "string" || !sourceText.trim()) {
+          return;
+        }
+
+        Object.entries(values).forEach(([language, translation]) => {
+          if (
+            language === sourceLanguage ||
+            (languages?.length && !languages.includes(language)) ||
+            typeof translation !== "string" ||
+            !translation.trim()
+          ) {
+            return;
+          }
+
+          checked += 1;
+          this.checkPair(sourceText, translation).forEach((finding) => {
+            findings.push({ file, label: label.name, language, ...finding });
+          });
+        });
+      });
+    });
+
+    return {
+      repo,
+      branch,
+      sourceLanguage,
+      files: files.length,
+      checked,
+      findings,
+      summary: this.summarize(findings),
+    };
+  }
+
+  /**
+   * Count findings by severity, check and language
+   */
+  static summarize(findings) {
+    const summary = {
+      total: findings.length,
+      bySeverity: Object.fromEntries(QA_SEVERITIES.map((severity) => [severity, 0])),
+      byCheck: {},
+      byLanguage: {},
+    };
+    findings.forEach(({ severity, check, language }) => {
+      summary.bySeverity[severity] += 1;
+      summary.byCheck[check] = (summary.byCheck[check] || 0) + 1;
+      if (language) {
+        summary.byLanguage[language] = (summary.byLanguage[language] || 0) + 1;
+      }
+    });
+    return summary;
+  }
+}
+
+/**
+ * Report tokens missing from or added to the translation, counting duplicates
+ */
+function compareTokens(sourceTokens, targetTokens, check, severity, label) {
+  const remaining = new Map();
+  sourceTokens.forEach((token) => remaining.set(token, (remaining.get(token) || 0) + 1));
+
+  const added = [];
+  targetTokens.forEach((token) => {
+    if (remaining.get(token)) {
+      remaining.set(token, remaining.get(token) - 1);
+    } else {
+      added.push(token);
+    }
+  });
+
+  const findings = [];
+  remaining.forEach((count, token) => {
+    for (let i = 0; i < count; i += 1) {
+      findings.push({
+        check,
+        severity,
+        message: `${label} "${token}" from the source is missing in the translation`,
+      });
+    }
+  });
+  added.forEach((token) => {
+    findings.push({
+      check,
+      severity,
+      message: `${label} "${token}" in the translation does not appear in the source`,
+    });
+  });
+  return findings;
+}
+
+/**
+ * Treat "3,5" and "3.5" as the same number, and drop thousands separators
+ * ("1,000", "1.000", "1 000") so that locale-specific formatting is not flagged
+ */
+function normalizeNumber(value) {
+  if (/\s/.test(value)) {
+    return value.replace(/\s/g, "");
+  }
+  const parts = value.split(/[.,]/);
+  if (parts.length > 1 && parts.slice(1).every((part) => part.length === 3)) {
+    return parts.join("");
+  }
+  return value.replace(",", ".");
+}
+
+function extractUnits(text) {
+  const withoutFormulas = stripFormulas(text);
+  const units = [];
+  for (const match of withoutFormulas.matchAll(NUMBER_UNIT_REGEX)) {
+    units.push(normalizeUnit(match[1]));
+  }
+  for (const match of withoutFormulas.matchAll(BRACKETED_UNIT_REGEX)) {
+    units.push(normalizeUnit(match[1]));
+  }
+  return units;
+}
+
+function normalizeUnit(unit) {
+  return unit
+    .replace(/^u/, "µ")
+    .replace(/L$/, "l")
+    .replace(/²/, "2")
+    .replace(/³/, "3")
+    .replace(/^PSU$/, "psu");
+}
+
+/**
+ * Chemical formulas: runs of element symbols that contain a count (CO2, H₂O,
+ * NO3-) or several elements in mixed case (NaCl); plain acronyms (CTD, SST)
+ * and single element symbols are not treated as formulas
+ */
+function extractFormulas(text) {
+  return (text.match(FORMULA_CANDIDATE_REGEX) || []).filter((candidate) => {
+    const symbols = candidate.match(/[A-Z][a-z]?/g) || [];
+    if (!symbols.every((symbol) => ELEMENTS.has(symbol))) {
+      return false;
+    }
+    const hasCount = /[0-9₀-₉]/.test(candidate.replace(/(?:[⁰¹²³⁴-⁹]*[⁺⁻]|[+-])$/, ""));
+    return hasCount || (symbols.length > 1 && /[a-z]/.test(candidate));
+  });
+}
+
+function stripFormulas(text) {
+  return extractFormulas(text).reduce((result, formula) => result.replace(formula, " "), text);
+}
+
+function normalizeFormula(formula) {
+  return formula
+    .replace(/[₀-₉]/g, (digit) => String(SUBSCRIPTS.indexOf(digit)))
+    .replace(/[⁰¹²³⁴-⁹]/g, (digit) => String(SUPERSCRIPTS.indexOf(digit)))
+    .replace(/⁺/g, "+")
+    .replace(/⁻/g, "-");
+}
+
+function trailingPunctuation(text) {
+  const last = text.trim().slice(-1);
+  return TRAILING_PUNCTUATION[last] || null;
+}
@@ -0,0 +1,220 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { Octokit } from "octokit";
+import {
+  ERROR_MESSAGES,
+  STATUS_CODES,
+  QUOTA_DEFAULTS,
+} from "../utils/constants.js";
+
+/**
+ * Daily request and character quotas on machine translation, per GitHub user
+ * and for the whole server. Usage resets at midnight UTC and is persisted to
+ * disk so that restarting the server does not reset it.
+ */
+export class QuotaService {
+  static usage = null;
+  static saveTimer = null;
+  static identities = new Map();
+
+  static getStoragePath() {
+    return path.resolve(process.env.QUOTA_USAGE_PATH || QUOTA_DEFAULTS.USAGE_PATH);
+  }
+
+  /**
+   * Configured limits; null means unlimited
+   */
+  static getLimits() {
+    const read = (name, fallback) => {
+      const value = process.env[name] !== undefined ? Number(process.env[name]) : fallback;
+      return Number.isFinite(value) && value > 0 ? value : null;
+    };
+    return {
+      user: {
+        requests: read("QUOTA_USER_DAILY_REQUESTS", QUOTA_DEFAULTS.USER_DAILY_REQUESTS),
+        characters: read("QUOTA_USER_DAILY_CHARACTERS", QUOTA_DEFAULTS.USER_DAILY_CHARACTERS),
+      },
+      global: {
+        requests: read("QUOTA_GLOBAL_DAILY_REQUESTS", QUOTA_DEFAULTS.GLOBAL_DAILY_REQUESTS),
+        characters: read(
+          "QUOTA_GLOBAL_DAILY_CHARACTERS",
+          QUOTA_DEFAULTS.GLOBAL_DAILY_CHARACTERS
+        ),
+      },
+    };
+  }
+
+  /**
+   * Resolve the GitHub login behind a token, cached for a few minutes so that
+   * every suggestion does not cost a GitHub API call
+   * Only a hash of the token is kept in memory
+   */
+  static async identify(token) {
+    const key = crypto.createHash("sha256").update(token).digest("hex");
+    const cached = this.identities.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.login;
+    }
+
+    try {
+      const octokit = new Octokit({ auth: token });
+      const { data } = await octokit.request("GET /user");
+      this.identities.set(key, {
+        login: data.login,
+        expiresAt: Date.now() + QUOTA_DEFAULTS.IDENTITY_TTL_MS,
+      });
+      return data.login;
+    } catch (error) {
+      if (error.response?.status === STATUS_CODES.UNAUTHORIZED) {
+        const invalidToken = new Error(ERROR_MESSAGES.INVALID_GITHUB_TOKEN);
+        invalidToken.status = STATUS_CODES.UNAUTHORIZED;
+        throw invalidToken;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load the usage of the current day, starting a new day when needed
+   */
+  static async load() {
+    if (!this.usage) {
+      try {
+        this.usage = JSON.parse(await fs.readFile(this.getStoragePath(), "utf-8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          console.error("Failed to load quota usage:", error.message);
+        }
+      }
+    }
+
+    const day = currentDay();
+    if (!this.usage || this.usage.day !== day) {
+      this.usage = { day, global: { requests: 0, characters: 0 }, users: {} };
+    }
+    return this.usage;
+  }
+
+  /**
+   * Write the usage to disk shortly after the last change
+   */
+  static scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((error) =>
+        console.error("Failed to save quota usage:", error.message)
+      );
+    }, QUOTA_DEFAULTS.SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  static async save() {
+    const storagePath = this.getStoragePath();
+    await fs.mkdir(path.dirname(storagePath), { recursive: true });
+    await fs.writeFile(storagePath, JSON.stringify(this.usage));
+  }
+
+  /**
+   * Record one request of the given size if it fits in both the user and
+   * global quotas; nothing is recorded when it does not
+   * Returns { allowed, scope, quota } where scope is "user" or "global" when
+   * the request was refused
+   */
+  static async consume(login, characters) {
+    const usage = await this.load();
+    const limits = this.getLimits();
+    const user = usage.users[login] || { requests: 0, characters: 0, lastRequestAt: null };
+
+    const exceeds = (used, scopeLimits) =>
+      (scopeLimits.requests !== null && used.requests + 1 > scopeLimits.requests) ||
+      (scopeLimits.characters !== null &&
+        used.characters + characters > scopeLimits.characters);
+
+    let scope = null;
+    if (exceeds(user, limits.user)) {
+      scope = "user";
+    } else if (exceeds(usage.global, limits.global)) {
+      scope = "global";
+    }
+
+    if (!scope) {
+      user.requests += 1;
+      user.characters += characters;
+      user.lastRequestAt = new Date().toISOString();
+      usage.users[login] = user;
+      usage.global.requests += 1;
+      usage.global.characters += characters;
+      this.scheduleSave();
+    }
+
+    return { allowed: !scope, scope, quota: this.describe(login) };
+  }
+
+  /**
+   * Limits, usage and remaining quota of one user for the current day
+   * Remaining values account for the global quota as well
+   */
+  static describe(login) {
+    const limits = this.getLimits();
+    const user = this.usage.users[login] || { requests: 0, characters: 0 };
+    const remaining = (metric) => {
+      const values = [
+        limits.user[metric] !== null ? limits.user[metric] - user[metric] : null,
+        limits.global[metric] !== null
+          ? limits.global[metric] - this.usage.global[metric]
+          : null,
+      ].filter((value) => value !== null);
+      return values.length ? Math.max(0, Math.min(...values)) : null;
+    };
+
+    return {
+      login,
+      day: this.usage.day,
+      resetAt: nextReset().toISOString(),
+      limits: limits.user,
+      used: { requests: user.requests, characters: user.characters },
+      remaining: { requests: remaining("requests"), characters: remaining("characters") },
+    };
+  }
+
+  /**
+   * Quota of one user without consuming anything
+   */
+  static async getQuota(login) {
+    await this.load();
+    return this.describe(login);
+  }
+
+  /**
+   * Consumption of every user for the current day, heaviest users first
+   */
+  static async getUsage() {
+    const usage = await this.load();
+    return {
+      day: usage.day,
+      resetAt: nextReset().toISOString(),
+      limits: this.getLimits(),
+      global: usage.global,
+      users: Object.entries(usage.users)
+        .map(([login, used]) => ({ login, ...used }))
+        .sort((a, b) => b.characters - a.characters || b.requests - a.requests),
+    };
+  }
+}
+
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Next midnight UTC, when the daily quotas reset
+ */
+function nextReset() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
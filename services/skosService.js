@@ -0,0 +1,46 @@
+import { canonicalizeLanguageTag } from "../utils/languages.js";
+import { SKOS_FORMATS, getConcepts, serializeConcepts } from "../utils/skosFormats.js";
+import { ERROR_MESSAGES, STATUS_CODES } from "../utils/constants.js";
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = STATUS_CODES.BAD_REQUEST;
+  return error;
+}
+
+/**
+ * SKOS rendering of the translations of a branch, to preview what the LDES
+ * workflow will publish before a pull request is merged
+ */
+export class SkosService {
+  /**
+   * Render the label files of a branch as SKOS in Turtle, JSON-LD or RDF/XML
+   * Each label file is one concept under the config.yml base_uri; labels map
+   * to the item paths of the config.yml sources and every non-empty
+   * translation becomes a literal with its canonical language tag
+   * Returns { filename, contentType, body, concepts }
+   */
+  static async renderBranch(githubService, { repo, branch, format = "turtle" }) {
+    if (!SKOS_FORMATS[format]) {
+      throw badRequest(ERROR_MESSAGES.INVALID_SKOS_FORMAT);
+    }
+
+    const [config, files] = await Promise.all([
+      githubService.getRepositoryConfig(repo, branch),
+      githubService.getLabelFiles(repo, branch),
+    ]);
+    if (!config?.base_uri) {
+      throw badRequest(ERROR_MESSAGES.SKOS_BASE_URI_REQUIRED);
+    }
+
+    const concepts = getConcepts(files, config, canonicalizeLanguageTag).filter(
+      (concept) => concept.properties.length > 0
+    );
+    return {
+      filename: `${repo}-${branch}.${SKOS_FORMATS[format].extension}`.replace(/[^\w.-]+/g, "_"),
+      contentType: SKOS_FORMATS[format].contentType,
+      body: serializeConcepts(format, concepts),
+      concepts: concepts.length,
+    };
+  }
+}
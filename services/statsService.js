@@ -0,0 +1,160 @@
+import { LabelQueryService } from "./labelQueryService.js";
+import { canonicalizeLanguageTag } from "../utils/languages.js";
+import { getConfigItemNames } from "../utils/labelFile.js";
+
+const COUNTERS = ["total", "translated", "empty", "changed", "approved"];
+
+function emptyCounts() {
+  return Object.fromEntries(COUNTERS.map((counter) => [counter, 0]));
+}
+
+// Add counts (and their per-item counts) into a running total
+function addCounts(total, counts) {
+  COUNTERS.forEach((counter) => {
+    total[counter] += counts[counter];
+  });
+  Object.entries(counts.items || {}).forEach(([item, itemCounts]) => {
+    total.items = total.items || {};
+    total.items[item] = addCounts(total.items[item] || emptyCounts(), itemCounts);
+  });
+  return total;
+}
+
+// Share of translated labels, between 0 and 1
+function withProgress(counts) {
+  const progress = counts.total ? Number((counts.translated / counts.total).toFixed(4)) : 0;
+  const items = counts.items
+    ? Object.fromEntries(
+        Object.entries(counts.items).map(([item, itemCounts]) => [item, withProgress(itemCounts)])
+      )
+    : undefined;
+  return { ...counts, progress, ...(items ? { items } : {}) };
+}
+
+function rollUp(entries) {
+  const totals = {};
+  entries.forEach((languages) => {
+    Object.entries(languages).forEach(([language, counts]) => {
+      totals[language] = addCounts(totals[language] || emptyCounts(), counts);
+    });
+  });
+  return totals;
+}
+
+function finalize(languages) {
+  return Object.fromEntries(
+    Object.entries(languages).map(([language, counts]) => [language, withProgress(counts)])
+  );
+}
+
+/**
+ * Translation coverage: per language, how many labels are translated, empty,
+ * changed against main and approved, broken down by item (prefLabel,
+ * altLabel, definition, ...) for each file, repository and the organization
+ */
+export class StatsService {
+  /**
+   * Coverage of one branch of a vocabulary repository, per file and in total
+   * Languages are the config.yml target_languages plus any other language
+   * found in the files, except the source language
+   */
+  static async getRepositoryStats(githubService, repo, branch) {
+    const { config, sourceLanguage, labels } = await LabelQueryService.collectLabels(
+      githubService,
+      repo,
+      branch,
+      { changes: true, approvals: true }
+    );
+
+    const languages = [
+      ...new Set([
+        ...(config?.target_languages || []).map(
+          (language) => canonicalizeLanguageTag(String(language)) || String(language)
+        ),
+        ...labels.flatMap((label) => Object.keys(label.translations)),
+      ]),
+    ].filter((language) => language !== sourceLanguage);
+    const items = [
+      ...new Set([...getConfigItemNames(config), ...labels.map((label) => label.name)]),
+    ];
+
+    const files = new Map();
+    labels.forEach((label) => {
+      if (!files.has(label.path)) {
+        files.set(label.path, { path: label.path, labels: 0, languages: {} });
+      }
+      const file = files.get(label.path);
+      file.labels += 1;
+
+      languages.forEach((language) => {
+        const translated = Boolean(String(label.translations[language] ?? "").trim());
+        const counts = {
+          total: 1,
+          translated: translated ? 1 : 0,
+          empty: translated ? 0 : 1,
+          changed: label.changedLanguages.includes(language) ? 1 : 0,
+          approved: label.approvedLanguages.includes(language) ? 1 : 0,
+        };
+        // Every item is listed, even without labels in this file
+        const fileCounts = file.languages[language] || {
+          ...emptyCounts(),
+          items: Object.fromEntries(items.map((item) => [item, emptyCounts()])),
+        };
+        file.languages[language] = addCounts(fileCounts, {
+          ...counts,
+          items: { [label.name]: counts },
+        });
+      });
+    });
+
+    const fileStats = [...files.values()];
+    return {
+      repo,
+      branch,
+      sourceLanguage,
+      languages,
+      files: fileStats.length,
+      labels: labels.length,
+      totals: finalize(rollUp(fileStats.map((file) => file.languages))),
+      byFile: fileStats.map((file) => ({ ...file, languages: finalize(file.languages) })),
+    };
+  }
+
+  /**
+   * Coverage of all (or the given) vocabulary repositories of the organization
+   * on one branch, per repository and rolled up per language
+   * Repositories without config.yml, or without the branch, are skipped
+   */
+  static async getOrganizationStats(githubService, { branch = "main", repos } = {}) {
+    const repositories = repos?.length ? repos : await githubService.listRepositories();
+
+    const stats = [];
+    const skipped = [];
+    for (const repo of repositories) {
+      try {
+        if (!(await githubService.getRepositoryConfig(repo, branch))) {
+          skipped.push({ repo, reason: "No config.yml" });
+          continue;
+        }
+        stats.push(await this.getRepositoryStats(githubService, repo, branch));
+      } catch (error) {
+        console.warn(`Failed to compute stats of repository ${repo}:`, error.message);
+        skipped.push({ repo, reason: error.message });
+      }
+    }
+
+    return {
+      branch,
+      repositories: stats.map(({ repo, sourceLanguage, languages, files, labels, totals }) => ({
+        repo,
+        sourceLanguage,
+        languages,
+        files,
+        labels,
+        totals,
+      })),
+      totals: finalize(rollUp(stats.map((repoStats) => repoStats.totals))),
+      skipped,
+    };
+  }
+}
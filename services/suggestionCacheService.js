@@ -0,0 +1,223 @@
+import fs from "fs/promises";
+import path from "path";
+import { normalizeSpacing, normalizeText } from "../utils/textSimilarity.js";
+import { TRANSLATION_DEFAULTS } from "../utils/constants.js";
+
+// Version of the key format; entries saved under an older format (such as
+// lowercased texts) are never matched and expire
+const KEY_VERSION = 2;
+
+/**
+ * Persistent cache of machine-translation results keyed by provider,
+ * source language, target language and text with normalized spacing; case
+ * is kept since it changes the translation of acronyms and proper names.
+ * Entries expire after a TTL and the least recently used entries are
+ * evicted once the size limit is reached.
+ */
+export class SuggestionCacheService {
+  static entries = null;
+  static stats = null;
+  static saveTimer = null;
+
+  static getStoragePath() {
+    return path.resolve(
+      process.env.SUGGESTION_CACHE_PATH || TRANSLATION_DEFAULTS.CACHE_PATH
+    );
+  }
+
+  static getTtlMs() {
+    return Number(process.env.SUGGESTION_CACHE_TTL_MS) || TRANSLATION_DEFAULTS.CACHE_TTL_MS;
+  }
+
+  static getMaxEntries() {
+    return (
+      Number(process.env.SUGGESTION_CACHE_MAX_ENTRIES) ||
+      TRANSLATION_DEFAULTS.CACHE_MAX_ENTRIES
+    );
+  }
+
+  static isEnabled() {
+    return process.env.SUGGESTION_CACHE_ENABLED !== "false";
+  }
+
+  static buildKey(provider, source, target, text) {
+    return JSON.stringify([KEY_VERSION, provider, source || "auto", target, normalizeSpacing(text)]);
+  }
+
+  /**
+   * Load the cache from disk on first use, dropping expired entries
+   */
+  static async load() {
+    if (this.entries) {
+      return;
+    }
+
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, expired: 0 };
+
+    try {
+      const raw = JSON.parse(await fs.readFile(this.getStoragePath(), "utf-8"));
+      const now = Date.now();
+      (raw.entries || []).forEach(([key, entry]) => {
+        if (entry.expiresAt > now) {
+          this.entries.set(key, entry);
+        }
+      });
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Failed to load suggestion cache:", error.message);
+      }
+    }
+  }
+
+  /**
+   * Write the cache to disk shortly after the last change
+   */
+  static scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch((error) =>
+        console.error("Failed to save suggestion cache:", error.message)
+      );
+    }, TRANSLATION_DEFAULTS.CACHE_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  static async save() {
+    const storagePath = this.getStoragePath();
+    await fs.mkdir(path.dirname(storagePath), { recursive: true });
+    await fs.writeFile(
+      storagePath,
+      JSON.stringify({ entries: Array.from(this.entries.entries()) })
+    );
+  }
+
+  /**
+   * Get a cached translation, or null on a miss
+   */
+  static async get(provider, source, target, text) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    await this.load();
+
+    const key = this.buildKey(provider, source, target, text);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses += 1;
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.stats.expired += 1;
+      this.stats.misses += 1;
+      this.scheduleSave();
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    entry.hits += 1;
+    this.entries.set(key, entry);
+    this.stats.hits += 1;
+    return entry;
+  }
+
+  /**
+   * Store a translation result
+   */
+  static async set(provider, source, target, text, result) {
+    if (!this.isEnabled()) {
+      return;
+    }
+    await this.load();
+
+    const key = this.buildKey(provider, source, target, text);
+    const now = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, {
+      provider,
+      source: source || "auto",
+      target,
+      text: normalizeSpacing(text),
+      translation: result.text,
+      detectedSource: result.detectedSource,
+      createdAt: now,
+      expiresAt: now + this.getTtlMs(),
+      hits: 0,
+    });
+    this.stats.writes += 1;
+
+    const maxEntries = this.getMaxEntries();
+    while (this.entries.size > maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions += 1;
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Remove entries matching all given filters; with no filters, clears the cache
+   * A text filter matches regardless of case
+   */
+  static async purge({ provider, source, target, text, expiredOnly } = {}) {
+    await this.load();
+
+    const now = Date.now();
+    const normalized = text ? normalizeText(text) : null;
+    let purged = 0;
+
+    for (const [key, entry] of this.entries) {
+      const matches =
+        (!provider || entry.provider === provider) &&
+        (!source || entry.source === source) &&
+        (!target || entry.target === target) &&
+        (!normalized || normalizeText(entry.text) === normalized) &&
+        (!expiredOnly || entry.expiresAt <= now);
+      if (matches) {
+        this.entries.delete(key);
+        purged += 1;
+      }
+    }
+
+    if (purged > 0) {
+      await this.save();
+    }
+    return { purged, remaining: this.entries.size };
+  }
+
+  /**
+   * Hit/miss counters and size breakdown of the cache
+   */
+  static async getStats() {
+    await this.load();
+
+    const byProvider = {};
+    const now = Date.now();
+    let expired = 0;
+    this.entries.forEach((entry) => {
+      byProvider[entry.provider] = (byProvider[entry.provider] || 0) + 1;
+      if (entry.expiresAt <= now) {
+        expired += 1;
+      }
+    });
+
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.isEnabled(),
+      size: this.entries.size,
+      maxEntries: this.getMaxEntries(),
+      ttlMs: this.getTtlMs(),
+      expiredPending: expired,
+      byProvider,
+      ...this.stats,
+      hitRate: lookups ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+    };
+  }
+}
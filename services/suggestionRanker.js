@@ -0,0 +1,166 @@
+import { normalizeText, similarity, splitWords } from "../utils/textSimilarity.js";
+import { GlossaryService } from "./glossaryService.js";
+
+// Confidence model, all values between 0 and 1:
+// - a glossary entry covering the whole source text is mandated terminology
+// - translation memory matches are human-approved, scaled by their match ratio
+// - machine translations start from a base value, raised by agreement with
+//   the other providers and by similarity to translation memory matches
+// - candidates whose words appear in a translation of the concept definition
+//   fit its meaning, which disambiguates short terms ("Bank", "Current")
+const CONFIDENCE = {
+  GLOSSARY: 0.99,
+  MEMORY_EXACT: 0.97,
+  MEMORY_FUZZY_FACTOR: 0.85,
+  MACHINE_BASE: 0.45,
+  MACHINE_AGREEMENT: 0.35,
+  MACHINE_MEMORY_SUPPORT: 0.15,
+  UNKNOWN_AGREEMENT: 0.5,
+  GLOSSARY_VIOLATION_FACTOR: 0.8,
+  DEFINITION_SUPPORT: 0.1,
+};
+
+const ORIGIN_PRIORITY = { glossary: 0, memory: 1, machine: 2 };
+
+/**
+ * Builds the ranked list of suggestion candidates with computed confidences
+ */
+export class SuggestionRanker {
+  /**
+   * Rank candidates gathered from translation memory, glossary and MT providers
+   */
+  static rank({
+    text,
+    target,
+    memoryMatches = [],
+    machineResults = [],
+    glossary,
+    definitionTranslation,
+  }) {
+    const candidates = new Map();
+    const add = (candidateText, confidence, origin) => {
+      const key = normalizeText(candidateText);
+      if (!key) {
+        return;
+      }
+      const existing = candidates.get(key);
+      if (existing) {
+        existing.confidence = Math.max(existing.confidence, confidence);
+        existing.origins.push(origin);
+      } else {
+        candidates.set(key, { text: candidateText, confidence, origins: [origin] });
+      }
+    };
+
+    this.glossaryCandidates(text, target, glossary).forEach(({ term, translation }) => {
+      add(translation, CONFIDENCE.GLOSSARY, { type: "glossary", term });
+    });
+
+    memoryMatches.forEach((match) => {
+      const confidence =
+        match.match === "exact"
+          ? CONFIDENCE.MEMORY_EXACT
+          : match.score * CONFIDENCE.MEMORY_FUZZY_FACTOR;
+      add(match.targetText, confidence, {
+        type: "memory",
+        match: match.match,
+        score: match.score,
+        origin: match.origin,
+      });
+    });
+
+    machineResults.forEach((result, index) => {
+      const others = machineResults.filter((_, otherIndex) => otherIndex !== index);
+      const agreement = others.length
+        ? others.reduce((sum, other) => sum + similarity(result.text, other.text), 0) /
+          others.length
+        : CONFIDENCE.UNKNOWN_AGREEMENT;
+      const memorySupport = memoryMatches.reduce(
+        (best, match) => Math.max(best, similarity(result.text, match.targetText) * match.score),
+        0
+      );
+
+      add(
+        result.text,
+        CONFIDENCE.MACHINE_BASE +
+          CONFIDENCE.MACHINE_AGREEMENT * agreement +
+          CONFIDENCE.MACHINE_MEMORY_SUPPORT * memorySupport,
+        { type: "machine", provider: result.provider, cached: result.cached }
+      );
+    });
+
+    return Array.from(candidates.values())
+      .map((candidate) => {
+        const ranked = { ...candidate };
+        if (glossary) {
+          ranked.glossaryCompliant = GlossaryService.checkTranslation(
+            text,
+            candidate.text,
+            glossary,
+            target
+          ).compliant;
+          if (!ranked.glossaryCompliant) {
+            ranked.confidence *= CONFIDENCE.GLOSSARY_VIOLATION_FACTOR;
+          }
+        }
+        if (definitionTranslation) {
+          ranked.definitionSupport = this.definitionSupport(
+            candidate.text,
+            definitionTranslation
+          );
+          ranked.confidence = Math.min(
+            1,
+            ranked.confidence + CONFIDENCE.DEFINITION_SUPPORT * ranked.definitionSupport
+          );
+        }
+        ranked.confidence = Math.round(ranked.confidence * 1000) / 1000;
+        return ranked;
+      })
+      .sort(
+        (a, b) =>
+          b.confidence - a.confidence ||
+          ORIGIN_PRIORITY[a.origins[0].type] - ORIGIN_PRIORITY[b.origins[0].type]
+      );
+  }
+
+  /**
+   * Share of the candidate's words found in the translated definition
+   */
+  static definitionSupport(candidateText, definitionTranslation) {
+    const words = splitWords(candidateText);
+    if (words.length === 0) {
+      return 0;
+    }
+    const definitionWords = new Set(splitWords(definitionTranslation));
+    const found = words.filter((word) => definitionWords.has(word)).length;
+    return Math.round((found / words.length) * 1000) / 1000;
+  }
+
+  /**
+   * Glossary entries whose term is the whole source text
+   */
+  static glossaryCandidates(text, target, glossary) {
+    if (!glossary) {
+      return [];
+    }
+    const normalized = normalizeText(text);
+    return glossary
+      .filter((entry) => normalizeText(entry.term) === normalized && entry.translations?.[target])
+      .flatMap((entry) =>
+        [].concat(entry.translations[target]).map((translation) => ({
+          term: entry.term,
+          translation,
+        }))
+      );
+  }
+
+  /**
+   * Name of the origin a candidate is reported under in the top-level provider field
+   */
+  static originName(candidate) {
+    const origin = candidate.origins[0];
+    if (origin.type === "machine") return origin.provider;
+    if (origin.type === "memory") return "translation-memory";
+    return "glossary";
+  }
+}
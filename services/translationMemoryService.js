@@ -0,0 +1,242 @@
+import fs from "fs/promises";
+import path from "path";
+import { normalizeText, similarity } from "../utils/textSimilarity.js";
+import {
+  getLabelTranslations,
+  getConfigSourceLanguage,
+} from "../utils/labelFile.js";
+import { TRANSLATION_DEFAULTS } from "../utils/constants.js";
+
+/**
+ * Translation memory built from the approved (merged) translations on main
+ * of every vocabulary repository, persisted to disk between restarts
+ */
+export class TranslationMemoryService {
+  static memory = null;
+
+  /**
+   * Location of the persisted memory file
+   */
+  static getStoragePath() {
+    return path.resolve(
+      process.env.TRANSLATION_MEMORY_PATH || TRANSLATION_DEFAULTS.MEMORY_PATH
+    );
+  }
+
+  /**
+   * Load the memory from disk on first use
+   */
+  static async load() {
+    if (this.memory) {
+      return this.memory;
+    }
+
+    try {
+      const raw = await fs.readFile(this.getStoragePath(), "utf-8");
+      this.memory = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Failed to load translation memory:", error.message);
+      }
+      this.memory = { builtAt: null, repositories: [], entries: [] };
+    }
+
+    this.buildExactIndex();
+    return this.memory;
+  }
+
+  /**
+   * Persist the memory to disk
+   */
+  static async save() {
+    const storagePath = this.getStoragePath();
+    await fs.mkdir(path.dirname(storagePath), { recursive: true });
+    await fs.writeFile(storagePath, JSON.stringify(this.memory));
+  }
+
+  /**
+   * Index normalized source texts for constant-time exact lookups
+   */
+  static buildExactIndex() {
+    this.exactIndex = new Map();
+    this.memory.entries.forEach((entry) => {
+      const key = normalizeText(entry.sourceText);
+      if (!this.exactIndex.has(key)) {
+        this.exactIndex.set(key, []);
+      }
+      this.exactIndex.get(key).push(entry);
+    });
+  }
+
+  /**
+   * Rebuild the memory from main of all (or the given) vocabulary repositories
+   */
+  static async rebuild(githubService, repos) {
+    const repositories = repos?.length
+      ? repos
+      : await githubService.listRepositories();
+
+    const entries = [];
+    const indexed = [];
+    const skipped = [];
+
+    for (const repo of repositories) {
+      try {
+        const repoEntries = await this.collectRepositoryEntries(githubService, repo);
+        if (repoEntries === null) {
+          skipped.push({ repo, reason: "No config.yml on main" });
+          continue;
+        }
+        entries.push(...repoEntries);
+        indexed.push({ repo, entries: repoEntries.length });
+      } catch (error) {
+        console.warn(`Failed to index repository ${repo}:`, error.message);
+        skipped.push({ repo, reason: error.message });
+      }
+    }
+
+    this.memory = {
+      builtAt: new Date().toISOString(),
+      repositories: indexed,
+      entries,
+    };
+    this.buildExactIndex();
+    await this.save();
+
+    return { builtAt: this.memory.builtAt, entries: entries.length, indexed, skipped };
+  }
+
+  /**
+   * Collect approved translation pairs from one repository, or null if it is
+   * not a vocabulary repository
+   */
+  static async collectRepositoryEntries(githubService, repo) {
+    const config = await githubService.getRepositoryConfig(repo, "main");
+    if (!config) {
+      return null;
+    }
+
+    const sourceLanguage = getConfigSourceLanguage(config) || "en";
+    const files = await githubService.getLabelFiles(repo, "main");
+
+    const entries = [];
+    files.forEach(({ path: file, content }) => {
+      content.labels.forEach((label) => {
+        const values = getLabelTranslations(label);
+        const sourceText = values[sourceLanguage];
+        if (typeof sourceText !== "string" || !sourceText.trim()) {
+          return;
+        }
+
+        Object.entries(values).forEach(([language, targetText]) => {
+          if (
+            language === sourceLanguage ||
+            typeof targetText !== "string" ||
+            !targetText.trim()
+          ) {
+            return;
+          }
+          entries.push({
+            source: sourceLanguage,
+            target: language,
+            sourceText,
+            targetText,
+            repo,
+            file,
+            label: label.name,
+          });
+        });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Find exact and fuzzy matches for a source text in the target language
+   */
+  static async lookup(text, { source, target, limit, minScore } = {}) {
+    await this.load();
+
+    const maxMatches = limit || TRANSLATION_DEFAULTS.MEMORY_MAX_MATCHES;
+    const threshold =
+      minScore ??
+      (Number(process.env.TRANSLATION_MEMORY_MIN_SCORE) ||
+        TRANSLATION_DEFAULTS.MEMORY_MIN_SCORE);
+    const normalized = normalizeText(text);
+
+    const accepts = (entry) =>
+      entry.target === target && (!source || entry.source === source);
+
+    const matches = [];
+    (this.exactIndex.get(normalized) || []).filter(accepts).forEach((entry) => {
+      matches.push(toMatch(entry, 1, "exact"));
+    });
+
+    this.memory.entries.forEach((entry) => {
+      if (!accepts(entry)) {
+        return;
+      }
+      const candidate = normalizeText(entry.sourceText);
+      if (candidate === normalized) {
+        return;
+      }
+
+      // Cheap length check before computing the edit distance
+      const maxLength = Math.max(candidate.length, normalized.length);
+      if (Math.abs(candidate.length - normalized.length) / maxLength > 1 - threshold) {
+        return;
+      }
+
+      const score = similarity(candidate, normalized);
+      if (score >= threshold) {
+        matches.push(toMatch(entry, score, "fuzzy"));
+      }
+    });
+
+    // Keep the best-scoring occurrence of each distinct translation
+    const seen = new Set();
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .filter((match) => {
+        const key = `${match.target}|${match.targetText}|${normalizeText(match.sourceText)}`;
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .slice(0, maxMatches);
+  }
+
+  /**
+   * Summary of the current memory contents
+   */
+  static async getStats() {
+    const memory = await this.load();
+    const languagePairs = {};
+    memory.entries.forEach((entry) => {
+      const pair = `${entry.source}-${entry.target}`;
+      languagePairs[pair] = (languagePairs[pair] || 0) + 1;
+    });
+
+    return {
+      builtAt: memory.builtAt,
+      entries: memory.entries.length,
+      repositories: memory.repositories,
+      languagePairs,
+    };
+  }
+}
+
+function toMatch(entry, score, match) {
+  return {
+    match,
+    score: Math.round(score * 1000) / 1000,
+    source: entry.source,
+    target: entry.target,
+    sourceText: entry.sourceText,
+    targetText: entry.targetText,
+    origin: { repo: entry.repo, file: entry.file, label: entry.label },
+  };
+}
@@ -0,0 +1,198 @@
+import axios from "axios";
+import fs from "fs";
+import { translate } from "@vitalets/google-translate-api";
+import { getProviderLanguageCode } from "../utils/languages.js";
+
+/**
+ * Base class for machine-translation providers
+ * Subclasses implement translate(text, { source, target, context, signal })
+ * and resolve to { text, detectedSource }
+ */
+export class TranslationProvider {
+  constructor(name) {
+    this.name = name;
+    // Whether translate() uses options.context (text surrounding the source)
+    this.supportsContext = false;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs to run
+   */
+  isConfigured() {
+    return true;
+  }
+
+  async translate() {
+    throw new Error(`Provider ${this.name} does not implement translate()`);
+  }
+}
+
+/**
+ * Google Translate through the unofficial @vitalets/google-translate-api client
+ */
+export class GoogleProvider extends TranslationProvider {
+  constructor() {
+    super("google");
+  }
+
+  async translate(text, { source, target, signal }) {
+    const options = {
+      to: getProviderLanguageCode(target, this.name),
+      fetchOptions: { signal },
+    };
+    if (source) {
+      options.from = getProviderLanguageCode(source, this.name);
+    }
+
+    const result = await translate(text, options);
+    return { text: result.text, detectedSource: result.raw?.src };
+  }
+}
+
+/**
+ * DeepL REST API (free or pro endpoint, selected through DEEPL_API_URL)
+ */
+export class DeepLProvider extends TranslationProvider {
+  constructor() {
+    super("deepl");
+    this.supportsContext = true;
+    this.apiKey = process.env.DEEPL_API_KEY;
+    this.apiUrl =
+      process.env.DEEPL_API_URL || "https://api-free.deepl.com/v2/translate";
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async translate(text, { source, target, context, signal }) {
+    const params = new URLSearchParams({
+      text,
+      target_lang: getProviderLanguageCode(target, this.name),
+    });
+    if (context) {
+      // Influences the translation of text without being translated itself
+      params.append("context", context);
+    }
+    if (source) {
+      // Source languages take no regional or script variant (EN, not EN-GB)
+      params.append("source_lang", getProviderLanguageCode(source, this.name).split("-")[0]);
+    }
+
+    const response = await axios.post(this.apiUrl, params, {
+      headers: { Authorization: `DeepL-Auth-Key ${this.apiKey}` },
+      signal,
+    });
+
+    const translation = response.data.translations[0];
+    return {
+      text: translation.text,
+      detectedSource: translation.detected_source_language?.toLowerCase(),
+    };
+  }
+}
+
+/**
+ * Self-hosted or public LibreTranslate instance
+ */
+export class LibreTranslateProvider extends TranslationProvider {
+  constructor() {
+    super("libretranslate");
+    this.apiUrl = process.env.LIBRETRANSLATE_URL;
+    this.apiKey = process.env.LIBRETRANSLATE_API_KEY;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiUrl);
+  }
+
+  async translate(text, { source, target, signal }) {
+    const response = await axios.post(
+      `${this.apiUrl.replace(/\/$/, "")}/translate`,
+      {
+        q: text,
+        source: source ? getProviderLanguageCode(source, this.name) : "auto",
+        target: getProviderLanguageCode(target, this.name),
+        format: "text",
+        api_key: this.apiKey,
+      },
+      { signal }
+    );
+
+    return {
+      text: response.data.translatedText,
+      detectedSource: response.data.detectedLanguage?.language,
+    };
+  }
+}
+
+/**
+ * Offline engine backed by a JSON phrase table on disk (LOCAL_MT_DICTIONARY)
+ * The file maps target languages to source phrases, e.g. { "fr": { "salinity": "salinité" } }
+ */
+export class LocalProvider extends TranslationProvider {
+  constructor() {
+    super("local");
+    this.dictionaryPath = process.env.LOCAL_MT_DICTIONARY;
+    this.dictionary = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.dictionaryPath);
+  }
+
+  loadDictionary() {
+    if (!this.dictionary) {
+      this.dictionary = JSON.parse(fs.readFileSync(this.dictionaryPath, "utf-8"));
+    }
+    return this.dictionary;
+  }
+
+  async translate(text, { source, target }) {
+    // Own keys only: "constructor" or "toString" are not phrases
+    const dictionary = this.loadDictionary();
+    const entries = Object.hasOwn(dictionary, target) ? dictionary[target] : {};
+    const key = text.trim().toLowerCase();
+    const translation = Object.hasOwn(entries, key) ? entries[key] : undefined;
+
+    if (typeof translation !== "string") {
+      throw new Error(`No local dictionary entry for "${text}" in ${target}`);
+    }
+
+    return { text: translation, detectedSource: source };
+  }
+}
+
+/**
+ * Deterministic provider for tests and local development, never calls out
+ */
+export class StubProvider extends TranslationProvider {
+  constructor() {
+    super("stub");
+  }
+
+  async translate(text, { source, target }) {
+    return { text: `[${target}] ${text}`, detectedSource: source };
+  }
+}
+
+const PROVIDER_CLASSES = {
+  google: GoogleProvider,
+  deepl: DeepLProvider,
+  libretranslate: LibreTranslateProvider,
+  local: LocalProvider,
+  stub: StubProvider,
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_CLASSES);
+
+/**
+ * Create a provider instance by name
+ */
+export function createProvider(name) {
+  const ProviderClass = PROVIDER_CLASSES[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown translation provider: ${name}`);
+  }
+  return new ProviderClass();
+}
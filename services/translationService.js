@@ -1,24 +1,547 @@
-import { translate } from "@vitalets/google-translate-api";
-import { ERROR_MESSAGES } from '../utils/constants.js';
+import { ProviderRegistry } from "./providerRegistry.js";
+import { TranslationMemoryService } from "./translationMemoryService.js";
+import { GlossaryService } from "./glossaryService.js";
+import { SuggestionCacheService } from "./suggestionCacheService.js";
+import { SuggestionRanker } from "./suggestionRanker.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { similarity, wordOverlap } from "../utils/textSimilarity.js";
+import { canonicalizeLanguageTag } from "../utils/languages.js";
+import {
+  isLabelFileContent,
+  getLabelTranslations,
+  getConfigSourceLanguage,
+} from "../utils/labelFile.js";
+import {
+  ERROR_MESSAGES,
+  STATUS_CODES,
+  TRANSLATION_DEFAULTS,
+} from '../utils/constants.js';
+
+// Back-translation similarity at or above which semantic drift is reported as
+// low, and below which it is reported as high (medium in between)
+const DRIFT_THRESHOLDS = { LOW: 0.75, HIGH: 0.45 };
 
 /**
- * Translation service for handling Google Translate API operations
+ * Translation service for machine-translation suggestions
+ * Delegates to the configured providers through the ProviderRegistry
  */
 export class TranslationService {
+  static registry = null;
+
+  /**
+   * Get the shared provider registry, created on first use so .env is loaded
+   */
+  static getRegistry() {
+    if (!this.registry) {
+      this.registry = new ProviderRegistry();
+    }
+    return this.registry;
+  }
+
   /**
    * Get translation suggestion for given text and target language
+   * Candidates are gathered from the translation memory, the glossary and
+   * machine translation, then ranked by computed confidence; the best one is
+   * returned as the suggestion and up to options.nBest as candidates.
+   * Without options.providers a single provider is asked (with fallback), and
+   * only when the translation memory has no exact match.
+   * When glossary entries are given, the result flags the glossary terms found
+   * in the source and whether the suggestion uses the mandated target terms.
+   * Without a source language the provider auto-detects it and the detected
+   * language is reported with sourceOrigin "detected".
+   * options.context maps the names of the concept's other labels (definition,
+   * altLabel, ...) to their source texts: it is passed to the providers that
+   * support context, and a translation of the definition is used to rank the
+   * candidates of ambiguous terms. The result reports which context was used.
    */
-  static async getSuggestion(text, target) {
+  static async getSuggestion(text, target, options = {}) {
     if (!text || !target) {
-      throw new Error(ERROR_MESSAGES.TRANSLATION_FIELDS_REQUIRED);
+      const error = new Error(ERROR_MESSAGES.TRANSLATION_FIELDS_REQUIRED);
+      error.status = STATUS_CODES.BAD_REQUEST;
+      throw error;
+    }
+
+    target = this.validateLanguage(target);
+    const source = options.source ? this.validateLanguage(options.source) : undefined;
+    let sourceOrigin = source ? options.sourceOrigin || "request" : null;
+    let detectedSource = null;
+
+    const memoryMatches =
+      options.useMemory !== false
+        ? await this.getMemoryMatches(text, source, target)
+        : [];
+    const exactMatch = memoryMatches.find((match) => match.match === "exact");
+    if (exactMatch) {
+      detectedSource = exactMatch.source;
+    }
+
+    const contextText = this.formatContext(options.context);
+    const { machineResults, failedProviders } = await this.getMachineResults(text, {
+      source,
+      target,
+      options,
+      context: contextText,
+      skip: Boolean(exactMatch) && !options.providers?.length,
+    });
+    const firstDetected = machineResults.find((result) => result.detectedSource);
+    if (firstDetected) {
+      detectedSource = firstDetected.detectedSource;
+    }
+
+    const rankInput = {
+      text,
+      target,
+      memoryMatches,
+      machineResults,
+      glossary: options.glossary,
+    };
+    let candidates = SuggestionRanker.rank(rankInput);
+
+    // Only worth a translation of the definition when there is a choice
+    const definitionTranslation =
+      candidates.length > 1
+        ? await this.translateDefinition(options.context?.definition, {
+            source: source || detectedSource || undefined,
+            target,
+            options,
+          })
+        : null;
+    if (definitionTranslation) {
+      candidates = SuggestionRanker.rank({ ...rankInput, definitionTranslation });
     }
 
+    if (candidates.length === 0) {
+      const translationError = new Error(ERROR_MESSAGES.TRANSLATION_ERROR);
+      translationError.failedProviders = failedProviders;
+      throw translationError;
+    }
+
+    if (!sourceOrigin && detectedSource) {
+      sourceOrigin = "detected";
+    }
+
+    const best = candidates[0];
+    const bestMachine = best.origins.find((origin) => origin.type === "machine");
+    const nBest = Number(options.nBest) || TRANSLATION_DEFAULTS.N_BEST;
+
+    const result = {
+      suggestion: best.text,
+      confidence: best.confidence,
+      provider: SuggestionRanker.originName(best),
+      cached: bestMachine ? bestMachine.cached : undefined,
+      source: source || detectedSource || null,
+      sourceOrigin,
+      candidates: candidates.slice(0, nBest),
+      failedProviders,
+      memoryMatches,
+    };
+    if (options.context) {
+      result.context = {
+        labels: options.context,
+        providers: machineResults
+          .filter((machineResult) => machineResult.usedContext)
+          .map((machineResult) => machineResult.provider),
+        definitionTranslation,
+      };
+    }
+
+    return this.withGlossary(
+      result,
+      text,
+      target,
+      options.glossary
+    );
+  }
+
+  /**
+   * Canonical BCP 47 form of a language tag, throwing a 400-style error if invalid
+   */
+  static validateLanguage(tag) {
+    const canonical = canonicalizeLanguageTag(tag);
+    if (!canonical) {
+      const error = new Error(`${ERROR_MESSAGES.INVALID_LANGUAGE_TAG} (${tag})`);
+      error.status = STATUS_CODES.BAD_REQUEST;
+      throw error;
+    }
+    return canonical;
+  }
+
+  /**
+   * Check the languages and provider names of a request before anything is
+   * translated, so that invalid requests are not charged to a quota
+   */
+  static validateOptions({ target, source, provider, providers = [] } = {}) {
+    [target, source].filter(Boolean).forEach((tag) => this.validateLanguage(tag));
+    [provider, ...providers].filter(Boolean).forEach((name) => this.getRegistry().get(name));
+  }
+
+  /**
+   * Context text handed to providers: the concept's other labels, definition first
+   */
+  static formatContext(context) {
+    if (!context) {
+      return null;
+    }
+    const { definition, ...labels } = context;
+    const texts = [definition, ...Object.values(labels)].filter(Boolean);
+    return texts.length ? texts.join("\n") : null;
+  }
+
+  /**
+   * Machine-translate a concept definition for ranking, never failing the
+   * suggestion itself
+   */
+  static async translateDefinition(definition, { source, target, options }) {
+    if (!definition) {
+      return null;
+    }
     try {
-      const result = await translate(text, { to: target });
-      return { suggestion: result.text };
+      const result = await this.translateWithCache(definition, {
+        source,
+        target,
+        provider: options.providers?.[0] || options.provider,
+        fallback: true,
+        useCache: options.useCache,
+      });
+      return result.text;
     } catch (error) {
-      console.error("Translation error:", error);
-      throw new Error(ERROR_MESSAGES.TRANSLATION_ERROR);
+      console.warn("Definition translation failed:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Ask the requested providers (each without fallback), or the configured
+   * chain for a single result; provider failures are collected, not thrown
+   */
+  static async getMachineResults(text, { source, target, options, context, skip }) {
+    if (skip) {
+      return { machineResults: [], failedProviders: [] };
+    }
+
+    const requests = options.providers?.length
+      ? options.providers.map((provider) => ({ provider, fallback: false }))
+      : [{ provider: options.provider, fallback: true }];
+
+    const machineResults = [];
+    const failedProviders = [];
+    const outcomes = await Promise.all(
+      requests.map(async ({ provider, fallback }) => {
+        try {
+          return await this.translateWithCache(text, {
+            source,
+            target,
+            provider,
+            fallback,
+            context,
+            useCache: options.useCache,
+          });
+        } catch (error) {
+          // Unknown providers are a client error, not a provider failure
+          if (error.status) {
+            throw error;
+          }
+          console.error("Translation error:", error);
+          return { error };
+        }
+      })
+    );
+
+    outcomes.forEach((outcome) => {
+      if (outcome.error) {
+        failedProviders.push(...(outcome.error.failedProviders || []));
+        return;
+      }
+      failedProviders.push(...outcome.failedProviders);
+      machineResults.push(outcome);
+    });
+
+    return { machineResults, failedProviders };
+  }
+
+  /**
+   * Machine-translate text, serving it from the suggestion cache when any
+   * provider of the chain already translated it
+   * Translations made with context are cached under the text and its context
+   */
+  static async translateWithCache(
+    text,
+    { source, target, provider, fallback, context, useCache }
+  ) {
+    const registry = this.getRegistry();
+    const usesContext = (name) => Boolean(context) && registry.supportsContext(name);
+    const cacheText = (name) => (usesContext(name) ? `${text}\n\n${context}` : text);
+
+    if (useCache !== false) {
+      for (const name of registry.getChain(provider, fallback)) {
+        const entry = await SuggestionCacheService.get(name, source, target, cacheText(name));
+        if (entry) {
+          return {
+            text: entry.translation,
+            detectedSource: entry.detectedSource,
+            provider: name,
+            cached: true,
+            usedContext: usesContext(name),
+            failedProviders: [],
+          };
+        }
+      }
     }
+
+    const result = await registry.translate(text, {
+      source,
+      target,
+      provider,
+      fallback,
+      context,
+    });
+    await SuggestionCacheService.set(
+      result.provider,
+      source,
+      target,
+      cacheText(result.provider),
+      result
+    );
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Attach the glossary check to a suggestion result when a glossary is given
+   */
+  static withGlossary(result, text, target, glossary) {
+    if (!glossary) {
+      return result;
+    }
+    return {
+      ...result,
+      glossary: GlossaryService.checkTranslation(text, result.suggestion, glossary, target),
+    };
+  }
+
+  /**
+   * Look up translation memory matches, never failing the suggestion itself
+   */
+  static async getMemoryMatches(text, source, target) {
+    try {
+      return await TranslationMemoryService.lookup(text, { source, target });
+    } catch (error) {
+      console.warn("Translation memory lookup failed:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Key of what a batch item sends to the provider: its text and canonical
+   * source and target tags (fr and FR are one translation), null for items
+   * without text or target
+   */
+  static getBatchKey(item) {
+    if (!item || !item.text || !item.target) {
+      return null;
+    }
+    const tag = (language) => (language ? canonicalizeLanguageTag(language) || language : null);
+    return JSON.stringify([item.text, tag(item.source), tag(item.target)]);
+  }
+
+  /**
+   * Get suggestions for many items at once
+   * Identical (text, source, target) triples are translated only once and
+   * failures are reported per item instead of failing the whole batch
+   */
+  static async getBatchSuggestions(items, options = {}) {
+    const concurrency =
+      options.concurrency ||
+      Number(process.env.TRANSLATION_BATCH_CONCURRENCY) ||
+      TRANSLATION_DEFAULTS.BATCH_CONCURRENCY;
+
+    // Reject an unknown provider once rather than once per item
+    if (options.provider) {
+      this.getRegistry().get(options.provider);
+    }
+
+    // Group items by what would actually be sent to the provider
+    const unique = new Map();
+    const keys = items.map((item) => {
+      const key = this.getBatchKey(item);
+      if (key && !unique.has(key)) {
+        const [text, source, target] = JSON.parse(key);
+        unique.set(key, { text, source, target });
+      }
+      return key;
+    });
+
+    const uniqueKeys = Array.from(unique.keys());
+    const outcomes = await mapWithConcurrency(
+      uniqueKeys,
+      concurrency,
+      async (key) => {
+        const { text, source, target } = unique.get(key);
+        try {
+          return await this.getSuggestion(text, target, {
+            source: source || options.defaultSource,
+            sourceOrigin: source ? "request" : "config",
+            provider: options.provider,
+            glossary: options.glossary,
+          });
+        } catch (error) {
+          return { error: error.message };
+        }
+      }
+    );
+    const outcomeByKey = new Map(
+      uniqueKeys.map((key, index) => [key, outcomes[index]])
+    );
+
+    const results = items.map((item, index) => {
+      const id = item?.id ?? index;
+      if (!keys[index]) {
+        return { id, error: ERROR_MESSAGES.TRANSLATION_FIELDS_REQUIRED };
+      }
+      return { id, ...outcomeByKey.get(keys[index]) };
+    });
+
+    const failed = results.filter((result) => result.error).length;
+    return {
+      results,
+      summary: {
+        total: items.length,
+        unique: uniqueKeys.length,
+        succeeded: items.length - failed,
+        failed,
+      },
+    };
+  }
+
+  /**
+   * Back-translate a translation into the language of the original text and
+   * score how close the result is to the original, so reviewers can spot
+   * semantic drift. The score averages character similarity and word overlap.
+   */
+  static async backTranslate(translation, { original, source, target, provider, useCache } = {}) {
+    if (!translation || !original || !source) {
+      const error = new Error(ERROR_MESSAGES.BACK_TRANSLATION_FIELDS_REQUIRED);
+      error.status = STATUS_CODES.BAD_REQUEST;
+      throw error;
+    }
+
+    source = this.validateLanguage(source);
+    target = target ? this.validateLanguage(target) : undefined;
+
+    const result = await this.translateWithCache(translation, {
+      source: target,
+      target: source,
+      provider,
+      fallback: true,
+      useCache,
+    });
+
+    const characterSimilarity = similarity(result.text, original);
+    const overlap = wordOverlap(result.text, original);
+    const score = Math.round(((characterSimilarity + overlap) / 2) * 1000) / 1000;
+
+    let drift = "medium";
+    if (score >= DRIFT_THRESHOLDS.LOW) {
+      drift = "low";
+    } else if (score < DRIFT_THRESHOLDS.HIGH) {
+      drift = "high";
+    }
+
+    return {
+      original,
+      translation,
+      backTranslation: result.text,
+      source,
+      target: target || result.detectedSource || null,
+      provider: result.provider,
+      cached: result.cached,
+      similarity: score,
+      characterSimilarity: Math.round(characterSimilarity * 1000) / 1000,
+      wordOverlap: Math.round(overlap * 1000) / 1000,
+      drift,
+      failedProviders: result.failedProviders,
+    };
+  }
+
+  /**
+   * Read the labels of a label file to back-translate in one language: per
+   * label the text to back-translate (the proposed translation or the branch
+   * value) and the source text from config.yml sources[].language
+   * Returns { source, items: [{ label, proposed, text, original }] }
+   */
+  static async collectBackTranslations(
+    githubService,
+    { repo, branch, file, language, label, translation }
+  ) {
+    const [config, content] = await Promise.all([
+      githubService.getRepositoryConfig(repo, branch),
+      githubService.getFileContent(repo, file, branch),
+    ]);
+    const source = getConfigSourceLanguage(config) || "en";
+
+    const labels = isLabelFileContent(content)
+      ? content.labels.filter((item) => !label || item.name === label)
+      : [];
+    if (label && labels.length === 0) {
+      const error = new Error(`${ERROR_MESSAGES.LABEL_NOT_FOUND} (${label})`);
+      error.status = STATUS_CODES.NOT_FOUND;
+      throw error;
+    }
+
+    const items = labels
+      .map((item) => {
+        const values = getLabelTranslations(item);
+        return {
+          label: item.name,
+          proposed: Boolean(label && translation),
+          text: label && translation ? translation : values[language],
+          original: values[source],
+        };
+      })
+      .filter((item) => item.text && item.original);
+    return { source, items };
+  }
+
+  /**
+   * Back-translate the labels (prefLabel, definition, ...) of a label file in
+   * one language against their source text from config.yml sources[].language
+   * A proposed translation replaces the branch value of the given label;
+   * failures are reported per label
+   * collected is the result of collectBackTranslations when the caller
+   * already read the file, such as to charge its quota
+   */
+  static async backTranslateLabels(githubService, options, collected = null) {
+    const { repo, branch, file, language, provider } = options;
+    const { source, items } =
+      collected || (await this.collectBackTranslations(githubService, options));
+
+    const results = [];
+    for (const item of items) {
+      try {
+        results.push({
+          label: item.label,
+          proposed: item.proposed,
+          ...(await this.backTranslate(item.text, {
+            original: item.original,
+            source,
+            target: language,
+            provider,
+          })),
+        });
+      } catch (error) {
+        if (error.status) {
+          throw error;
+        }
+        results.push({ label: item.label, error: error.message });
+      }
+    }
+
+    return { repo, branch, file, language, source, results };
+  }
+
+  /**
+   * Get health information for all translation providers
+   */
+  static getProviderHealth() {
+    return this.getRegistry().getHealth();
   }
-}
\ No newline at end of file
+}
@@ -56,6 +56,10 @@ const doc = {
     {
       name: "Analytics",
       description: "Analytics and reporting endpoints"
+    },
+    {
+      name: "Languages",
+      description: "Language registry endpoints"
     }
   ]
 };
@@ -66,7 +70,8 @@ const routes = [
   "./routes/auth.js",
   "./routes/github.js", 
   "./routes/translation.js",
-  "./routes/leaderboard.js"
+  "./routes/leaderboard.js",
+  "./routes/languages.js"
 ];
 
 swaggerAutogen()(outputFile, routes, doc);
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseXliff } from "../utils/exchangeFormats.js";
+
+const xliff = (target) =>
+  `<xliff version="2.0" srcLang="en" trgLang="fr"><file id="P01/A.yml">` +
+  `<unit id="prefLabel"><segment><source>Sea</source><target>${target}</target></segment></unit>` +
+  `</file></xliff>`;
+
+test("decodes character references", () => {
+  const { units } = parseXliff(xliff("Mer &#x1F30A; &#233;t&amp;"));
+
+  assert.equal(units[0].translations.fr, "Mer 🌊 ét&");
+});
+
+test("rejects out-of-range character references as invalid files", () => {
+  ["&#x110000;", "&#99999999999;", "&#xD800;", "&#0;"].forEach((reference) => {
+    assert.throws(() => parseXliff(xliff(reference)), {
+      status: 400,
+      message: `Invalid XLIFF file: invalid character reference ${reference}`,
+    });
+  });
+});
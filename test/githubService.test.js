@@ -0,0 +1,133 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { GitHubService } from "../services/githubService.js";
+
+const labelFile = (fr) =>
+  `labels:\n  - name: prefLabel\n    translations:\n      - en: "Sea"\n      - fr: "${fr}"\n` +
+  `  - name: definition\n    translations:\n      - en: "Sea water"\n      - fr: ""\n`;
+
+// GitHub service whose contents PUT fails with a 409 the first `conflicts`
+// times; every read after the first sees a translation added meanwhile
+function createGitHubService(conflicts) {
+  const githubService = Object.create(GitHubService.prototype);
+  githubService.owner = "org";
+  githubService.reads = 0;
+  githubService.written = null;
+  githubService.getUser = async () => ({ login: "octocat" });
+  githubService.octokit = {
+    request: async (route, params) => {
+      if (route.startsWith("GET /repos/{owner}/{repo}/contents")) {
+        githubService.reads += 1;
+        const text = labelFile(githubService.reads > 1 ? "Mer" : "");
+        return { data: { sha: `sha${githubService.reads}`, content: Buffer.from(text).toString("base64") } };
+      }
+      if (githubService.reads <= conflicts) {
+        const error = new Error("sha does not match");
+        error.response = { status: 409, data: { message: error.message } };
+        throw error;
+      }
+      githubService.written = Buffer.from(params.content, "base64").toString("utf-8");
+      return { data: { commit: { sha: "commit" } } };
+    },
+  };
+  return githubService;
+}
+
+const quiet = {};
+beforeEach(() => {
+  Object.assign(quiet, { log: console.log, error: console.error, warn: console.warn });
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+});
+afterEach(() => {
+  Object.assign(console, quiet);
+});
+
+test("merges again once when the file changes between read and write", async () => {
+  const githubService = createGitHubService(1);
+
+  await githubService.updateFileWithTranslations("P01", { definition: { fr: "Eau de mer" } }, "b", "A.yml");
+
+  assert.equal(githubService.reads, 2);
+  assert.match(githubService.written, /- fr: "Mer"/);
+  assert.match(githubService.written, /- fr: "Eau de mer"/);
+});
+
+test("answers a conflict when the file keeps changing", async () => {
+  const githubService = createGitHubService(2);
+
+  await assert.rejects(
+    githubService.updateFileWithTranslations("P01", { definition: { fr: "Eau de mer" } }, "b", "A.yml"),
+    { status: 409 }
+  );
+  assert.equal(githubService.written, null);
+});
+
+test("skips unparsable label files", async () => {
+  const files = {
+    "P01/A.yml": labelFile("Mer"),
+    "P01/B.yml": "labels:\n  - name: [unclosed\n",
+  };
+  const githubService = Object.create(GitHubService.prototype);
+  githubService.owner = "org";
+  githubService.octokit = {
+    request: async (route, params) => {
+      if (route.includes("git/trees")) {
+        return { data: { tree: Object.keys(files).map((path) => ({ path })) } };
+      }
+      return { data: { sha: "sha", content: Buffer.from(files[params.path]).toString("base64") } };
+    },
+  };
+
+  const labelFiles = await githubService.getLabelFiles("P01", "main");
+
+  assert.deepEqual(labelFiles.map((file) => file.path), ["P01/A.yml"]);
+});
+
+test("skips glossary entries that are not valid", async () => {
+  const glossary = [
+    { term: "salinity", translations: { fr: "salinité" } },
+    { translations: { fr: "sans terme" } },
+    { term: 5, translations: {} },
+    { term: "depth", translations: { fr: [""] } },
+  ];
+  const githubService = Object.create(GitHubService.prototype);
+  githubService.owner = "org";
+  githubService.octokit = {
+    request: async () => ({
+      data: { sha: "sha", content: Buffer.from(JSON.stringify(glossary)).toString("base64") },
+    }),
+  };
+
+  const { entries } = await githubService.getGlossary("P01");
+
+  assert.deepEqual(entries, [glossary[0]]);
+});
+
+test("treats a repository without reviewers.json as having no reviewers", async () => {
+  const githubService = Object.create(GitHubService.prototype);
+  githubService.owner = "org";
+  githubService.getUser = async () => ({ login: "octocat" });
+  githubService.octokit = {
+    request: async () => {
+      const error = new Error("Not Found");
+      error.status = 404;
+      error.response = { status: 404, data: {} };
+      throw error;
+    },
+  };
+
+  await assert.rejects(githubService.getReviewers("P01"), { status: 404 });
+  assert.equal(await githubService.isReviewer("P01"), false);
+});
+
+test("reports a glossary.json that is not an array as unprocessable", async () => {
+  const githubService = Object.create(GitHubService.prototype);
+  githubService.owner = "org";
+  githubService.octokit = {
+    request: async () => ({ data: { sha: "sha", content: Buffer.from("{ oops").toString("base64") } }),
+  };
+
+  await assert.rejects(githubService.getGlossary("P01"), { status: 422 });
+});
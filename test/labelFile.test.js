@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeTranslationEdits } from "../utils/labelFile.js";
+
+const file = (first, second) => ({
+  labels: [
+    { name: "altLabel", translations: [{ en: "Shore" }, { fr: first }] },
+    { name: "altLabel", translations: [{ en: "Beach" }, { fr: second }] },
+  ],
+});
+
+test("merges occurrence keys against that occurrence", () => {
+  const merged = mergeTranslationEdits(file(null, null), file("Rivage", null), {
+    "altLabel.1": { fr: "Côte" },
+    "altLabel.2": { fr: "Plage" },
+  });
+
+  assert.deepEqual(merged.translations, { "altLabel.2": { fr: "Plage" } });
+  assert.deepEqual(merged.conflicts, [
+    { label: "altLabel.1", language: "fr", base: null, theirs: "Rivage", mine: "Côte" },
+  ]);
+});
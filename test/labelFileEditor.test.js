@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parse } from "yaml";
+import { editLabelFile } from "../utils/labelFileEditor.js";
+
+const NULL_VALUE_FILE = [
+  "labels:",
+  "  - name: a",
+  "    translations:",
+  "      - en: SST",
+  "      - fr:",
+  "  - name: b",
+  "    translations:",
+  "      - en: Depth",
+  "      - fr: Profondeur",
+  "",
+].join("\n");
+
+test("sets a null value in a label followed by another label", () => {
+  const { content, changed } = editLabelFile(NULL_VALUE_FILE, {
+    translations: { a: { fr: "X" } },
+    author: "octocat",
+  });
+
+  assert.equal(changed, true);
+  const lines = content.split("\n");
+  assert.equal(lines[4], '      - fr: "X"');
+  assert.equal(lines[5], "    provenance:");
+  assert.match(content, /\n {2}- name: b\n/);
+
+  const [a, b] = parse(content).labels;
+  assert.deepEqual(a.translations, [{ en: "SST" }, { fr: "X" }]);
+  assert.equal(a.provenance.fr.origin, "human");
+  assert.equal(a.provenance.fr.author, "octocat");
+  assert.deepEqual(b.translations, [{ en: "Depth" }, { fr: "Profondeur" }]);
+  assert.equal(b.provenance, undefined);
+});
+
+test("adds a language after a null value in a non-final label", () => {
+  const { content } = editLabelFile(NULL_VALUE_FILE, {
+    translations: { a: { nl: "Y" } },
+  });
+
+  const [a, b] = parse(content).labels;
+  assert.deepEqual(a.translations, [{ en: "SST" }, { fr: null }, { nl: "Y" }]);
+  assert.equal(b.name, "b");
+});
+
+test("keeps CRLF line breaks in inserted lines", () => {
+  const text = NULL_VALUE_FILE.replace(/\n/g, "\r\n");
+  const { content } = editLabelFile(text, {
+    translations: { a: { fr: "X", nl: "Y" }, b: { fr: "Fond" } },
+  });
+
+  assert.equal(content.replace(/\r\n/g, "").includes("\n"), false);
+  const [a, b] = parse(content).labels;
+  assert.deepEqual(a.translations, [{ en: "SST" }, { fr: "X" }, { nl: "Y" }]);
+  assert.deepEqual(Object.keys(a.provenance), ["fr", "nl"]);
+  assert.deepEqual(b.translations, [{ en: "Depth" }, { fr: "Fond" }]);
+  assert.equal(b.provenance.fr.origin, "human");
+});
+
+test("leaves the other lines untouched", () => {
+  const { lines } = editLabelFile(NULL_VALUE_FILE, { translations: { b: { fr: "Fond" } } });
+  assert.deepEqual(lines, [9, 10, 11, 12, 13]);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LabelQueryService } from "../services/labelQueryService.js";
+
+// GitHub service double serving one label file at a movable branch head
+function createGitHubService() {
+  const calls = [];
+  return {
+    owner: "org",
+    head: "sha1",
+    calls,
+    async getBranchHeadSha() {
+      return this.head;
+    },
+    async getRepositoryConfig(repo, ref) {
+      calls.push(`config@${ref}`);
+      return { sources: [{ language: "en" }] };
+    },
+    async getLabelFileTexts(repo, ref) {
+      calls.push(`files@${ref}`);
+      const text = 'labels:\n  - name: prefLabel\n    translations:\n      - en: "Sea"\n      - fr: "Mer"\n';
+      return [
+        {
+          path: "P01/A.yml",
+          text,
+          content: { labels: [{ name: "prefLabel", translations: [{ en: "Sea" }, { fr: "Mer" }] }] },
+        },
+      ];
+    },
+    async getBranchTranslationChanges() {
+      calls.push("changes");
+      return { "P01/A.yml": [{ label: "prefLabel", language: "fr" }] };
+    },
+    async getLabelApprovals() {
+      calls.push("approvals");
+      return {};
+    },
+  };
+}
+
+test("looks up changes and approvals only for their filters", async () => {
+  const githubService = createGitHubService();
+
+  const plain = await LabelQueryService.query(githubService, "P01", "plain", {});
+  const changed = await LabelQueryService.query(githubService, "P01", "plain", {
+    changed: "true",
+  });
+
+  assert.equal(plain.labels[0].changed, null);
+  assert.equal(plain.labels[0].approvedLanguages, null);
+  assert.deepEqual(changed.labels[0].changedLanguages, ["fr"]);
+  assert.equal(changed.labels[0].approved, null);
+  assert.deepEqual(githubService.calls, ["config@sha1", "files@sha1", "changes"]);
+});
+
+test("reads the files again once the branch head moves", async () => {
+  const githubService = createGitHubService();
+  githubService.head = "sha2";
+
+  await LabelQueryService.query(githubService, "P01", "moving", {});
+  githubService.head = "sha3";
+  await LabelQueryService.query(githubService, "P01", "moving", {});
+  await LabelQueryService.query(githubService, "P01", "moving", {});
+
+  assert.deepEqual(githubService.calls, ["config@sha2", "files@sha2", "config@sha3", "files@sha3"]);
+});
+
+test("rejects repeated query parameters", () => {
+  for (const name of ["q", "sort", "order", "path", "limit"]) {
+    assert.throws(() => LabelQueryService.parseQuery({ [name]: ["a", "b"] }), {
+      status: 400,
+      message: `"${name}" must be given once.`,
+    });
+  }
+});
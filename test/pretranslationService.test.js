@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PretranslationService } from "../services/pretranslationService.js";
+
+const githubService = {
+  getRepositoryConfig: async () => ({ sources: [{ language: "EN" }] }),
+  getGlossary: async () => ({ entries: [] }),
+  getLabelFileTexts: async () => [
+    {
+      path: "P01/A.yml",
+      content: {
+        labels: [
+          { name: "prefLabel", translations: [{ en: "Sea" }, { fr: "" }, { "pt-BR": null }] },
+          { name: "altLabel", translations: [{ en: "Ocean" }, { FR: "Océan" }, { "pt-BR": "" }] },
+        ],
+      },
+    },
+  ],
+};
+
+test("finds slots whatever the case of the target tag", async () => {
+  for (const [requested, target, keys] of [
+    ["FR", "fr", ["prefLabel"]],
+    ["pt-br", "pt-BR", ["prefLabel", "altLabel"]],
+  ]) {
+    const collected = await PretranslationService.collectSlots(githubService, {
+      repo: "P01",
+      branch: "b",
+      target: requested,
+    });
+
+    assert.equal(collected.source, "en");
+    assert.equal(collected.target, target);
+    assert.deepEqual(collected.slots.map((slot) => slot.key), keys);
+  }
+});
@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { ProviderRegistry } from "../services/providerRegistry.js";
+import { ERROR_MESSAGES } from "../utils/constants.js";
+
+function createProvider(name, translate) {
+  return {
+    name,
+    supportsContext: false,
+    isConfigured: () => true,
+    translate: mock.fn(translate),
+  };
+}
+
+const fail = async () => {
+  throw new Error("Service down");
+};
+
+let registry;
+
+beforeEach(() => {
+  mock.method(console, "warn", () => {});
+  registry = new ProviderRegistry({
+    order: ["first", "second"],
+    timeoutMs: 50,
+    failureThreshold: 2,
+    cooldownMs: 60000,
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("falls back to the next provider and reports the failed one", async () => {
+  registry.register(createProvider("first", fail));
+  registry.register(createProvider("second", async (text) => ({ text: `${text}!` })));
+
+  const result = await registry.translate("Haus", { source: "de", target: "en" });
+
+  assert.equal(result.text, "Haus!");
+  assert.equal(result.provider, "second");
+  assert.deepEqual(result.failedProviders, [{ provider: "first", error: "Service down" }]);
+  assert.equal(registry.getHealth().find(({ name }) => name === "first").status, "degraded");
+});
+
+test("takes a provider out of the chain after repeated failures", async () => {
+  const first = createProvider("first", fail);
+  registry.register(first);
+  registry.register(createProvider("second", async () => ({ text: "House" })));
+
+  await registry.translate("Haus", { target: "en" });
+  await registry.translate("Haus", { target: "en" });
+  const result = await registry.translate("Haus", { target: "en" });
+
+  assert.equal(first.translate.mock.callCount(), 2);
+  assert.deepEqual(result.failedProviders, []);
+  assert.equal(registry.getHealth().find(({ name }) => name === "first").status, "unhealthy");
+});
+
+test("tries the preferred provider first and falls back on a timeout", async () => {
+  registry.register(createProvider("first", async () => ({ text: "House" })));
+  registry.register(createProvider("second", () => new Promise(() => {})));
+
+  const result = await registry.translate("Haus", { target: "en", provider: "second" });
+
+  assert.equal(result.provider, "first");
+  assert.deepEqual(result.failedProviders, [
+    { provider: "second", error: "Timed out after 50ms" },
+  ]);
+});
+
+test("does not fall back when fallback is disabled", async () => {
+  registry.register(createProvider("first", fail));
+  const second = createProvider("second", async () => ({ text: "House" }));
+  registry.register(second);
+
+  await assert.rejects(
+    registry.translate("Haus", { target: "en", provider: "first", fallback: false }),
+    (error) => {
+      assert.equal(error.message, ERROR_MESSAGES.NO_PROVIDER_AVAILABLE);
+      assert.deepEqual(error.failedProviders, [{ provider: "first", error: "Service down" }]);
+      return true;
+    }
+  );
+  assert.equal(second.translate.mock.callCount(), 0);
+});
+
+test("rejects an unknown preferred provider", async () => {
+  await assert.rejects(registry.translate("Haus", { target: "en", provider: "nope" }), {
+    status: 400,
+  });
+});
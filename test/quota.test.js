@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { enforceTranslationQuota } from "../middleware/quota.js";
+import { QuotaService } from "../services/quotaService.js";
+import { ERROR_MESSAGES } from "../utils/constants.js";
+
+const QUOTA = {
+  login: "ana",
+  day: "2026-10-19",
+  resetAt: "2026-10-20T00:00:00.000Z",
+  limits: { requests: 3, characters: null },
+  used: { requests: 3, characters: 12 },
+  remaining: { requests: 0, characters: null },
+};
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function run(countCharacters, headers = { authorization: "token" }) {
+  const req = { headers };
+  const res = createResponse();
+  const next = mock.fn();
+  await enforceTranslationQuota(countCharacters)(req, res, next);
+  return { req, res, next };
+}
+
+beforeEach(() => {
+  mock.method(QuotaService, "identify", async () => "ana");
+  mock.method(console, "error", () => {});
+  mock.timers.enable({ apis: ["Date"], now: new Date("2026-10-19T23:58:29.500Z") });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test("charges the counted characters and passes the request on", async () => {
+  const consume = mock.method(QuotaService, "consume", async () => ({
+    allowed: true,
+    scope: null,
+    quota: { ...QUOTA, remaining: { requests: 1, characters: null } },
+  }));
+
+  const { req, res, next } = await run(async () => 12);
+
+  assert.deepEqual(consume.mock.calls[0].arguments, ["ana", 12]);
+  assert.equal(next.mock.callCount(), 1);
+  assert.equal(req.githubLogin, "ana");
+  assert.equal(res.headers["X-Quota-Requests-Remaining"], "1");
+  // Unlimited quotas have no headers
+  assert.equal("X-Quota-Characters-Limit" in res.headers, false);
+  assert.equal("Retry-After" in res.headers, false);
+});
+
+test("answers 429 with Retry-After until the quota resets", async () => {
+  mock.method(QuotaService, "consume", async () => ({
+    allowed: false,
+    scope: "user",
+    quota: QUOTA,
+  }));
+
+  const { res, next } = await run(() => 1);
+
+  assert.equal(next.mock.callCount(), 0);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.message, ERROR_MESSAGES.USER_QUOTA_EXCEEDED);
+  assert.equal(res.headers["Retry-After"], "91");
+  assert.equal(res.headers["X-Quota-Reset"], String(Date.parse(QUOTA.resetAt) / 1000));
+});
+
+test("reports an exhausted global quota", async () => {
+  mock.method(QuotaService, "consume", async () => ({
+    allowed: false,
+    scope: "global",
+    quota: QUOTA,
+  }));
+
+  const { res } = await run(() => 1);
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.message, ERROR_MESSAGES.GLOBAL_QUOTA_EXCEEDED);
+});
+
+test("does not charge requests without a token or with a failing counter", async () => {
+  const consume = mock.method(QuotaService, "consume");
+
+  const anonymous = await run(() => 1, {});
+  assert.equal(anonymous.res.statusCode, 401);
+
+  const missing = await run(async () => {
+    const error = new Error("Not found");
+    error.status = 404;
+    throw error;
+  });
+  assert.equal(missing.res.statusCode, 404);
+  assert.equal(missing.next.mock.callCount(), 0);
+  assert.equal(consume.mock.callCount(), 0);
+});
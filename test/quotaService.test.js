@@ -0,0 +1,75 @@
+import { test, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { QuotaService } from "../services/quotaService.js";
+
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), "quota-"));
+const LIMITS = {
+  QUOTA_USER_DAILY_REQUESTS: "3",
+  QUOTA_USER_DAILY_CHARACTERS: "10",
+  QUOTA_GLOBAL_DAILY_REQUESTS: "4",
+  QUOTA_GLOBAL_DAILY_CHARACTERS: "0",
+};
+
+before(() => {
+  process.env.QUOTA_USAGE_PATH = path.join(directory, "usage.json");
+  Object.assign(process.env, LIMITS);
+});
+
+after(async () => {
+  clearTimeout(QuotaService.saveTimer);
+  ["QUOTA_USAGE_PATH", ...Object.keys(LIMITS)].forEach((name) => delete process.env[name]);
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  QuotaService.usage = { day: "2026-10-19", global: { requests: 0, characters: 0 }, users: {} };
+  mock.timers.enable({ apis: ["Date"], now: new Date("2026-10-19T23:59:00.000Z") });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test("charges requests and characters until the user quota is used up", async () => {
+  assert.equal((await QuotaService.consume("ana", 6)).allowed, true);
+
+  const refused = await QuotaService.consume("ana", 5);
+  assert.deepEqual([refused.allowed, refused.scope], [false, "user"]);
+  // Nothing is recorded for a refused request
+  assert.deepEqual(refused.quota.used, { requests: 1, characters: 6 });
+  assert.deepEqual(refused.quota.remaining, { requests: 2, characters: 4 });
+
+  assert.equal((await QuotaService.consume("ana", 4)).allowed, true);
+  assert.equal((await QuotaService.consume("ana", 0)).allowed, true);
+  assert.equal((await QuotaService.consume("ana", 0)).scope, "user");
+});
+
+test("refuses everyone once the global quota is used up", async () => {
+  for (const login of ["ana", "ana", "ben", "ben"]) {
+    assert.equal((await QuotaService.consume(login, 1)).allowed, true);
+  }
+
+  const refused = await QuotaService.consume("eva", 1);
+  assert.deepEqual([refused.allowed, refused.scope], [false, "global"]);
+  assert.deepEqual(refused.quota.remaining, { requests: 0, characters: 10 });
+  // A zero limit is unlimited
+  assert.equal(QuotaService.getLimits().global.characters, null);
+});
+
+test("resets the usage at midnight UTC", async () => {
+  await QuotaService.consume("ana", 10);
+  const refused = await QuotaService.consume("ana", 1);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.quota.resetAt, "2026-10-20T00:00:00.000Z");
+
+  mock.timers.tick(60 * 1000);
+  const next = await QuotaService.consume("ana", 1);
+
+  assert.equal(next.allowed, true);
+  assert.equal(next.quota.day, "2026-10-20");
+  assert.deepEqual(next.quota.used, { requests: 1, characters: 1 });
+  assert.equal(next.quota.resetAt, "2026-10-21T00:00:00.000Z");
+});
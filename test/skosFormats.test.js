@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getSkosMapping, SKOS_NAMESPACE } from "../utils/skosFormats.js";
+
+test("expands CURIE item paths with known prefixes", () => {
+  const mapping = getSkosMapping({
+    sources: [
+      {
+        "id-path": "skos:Concept",
+        items: [
+          { name: "prefLabel", path: "skos:prefLabel" },
+          { name: "title", path: "dcterms:title" },
+          { name: "alt", path: "http://example.org/voc/alt" },
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(mapping, {
+    predicates: {
+      prefLabel: `${SKOS_NAMESPACE}prefLabel`,
+      title: "http://purl.org/dc/terms/title",
+      alt: "http://example.org/voc/alt",
+    },
+    type: `${SKOS_NAMESPACE}Concept`,
+  });
+});
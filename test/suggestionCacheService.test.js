@@ -0,0 +1,29 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { SuggestionCacheService } from "../services/suggestionCacheService.js";
+
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), "suggestion-cache-"));
+process.env.SUGGESTION_CACHE_PATH = path.join(directory, "cache.json");
+
+after(async () => {
+  clearTimeout(SuggestionCacheService.saveTimer);
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test("keeps case in cache keys but normalizes spacing", async () => {
+  await SuggestionCacheService.set("deepl", "en", "fr", "SST", { text: "TSM" });
+  await SuggestionCacheService.set("deepl", "en", "fr", "sst", { text: "tsm" });
+
+  assert.equal((await SuggestionCacheService.get("deepl", "en", "fr", " SST ")).translation, "TSM");
+  assert.equal((await SuggestionCacheService.get("deepl", "en", "fr", "sst")).translation, "tsm");
+  assert.equal(await SuggestionCacheService.get("deepl", "en", "fr", "Sst"), null);
+});
+
+test("purges a text regardless of case", async () => {
+  const { purged } = await SuggestionCacheService.purge({ text: "Sst" });
+
+  assert.equal(purged, 2);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { TranslationMemoryService } from "../services/translationMemoryService.js";
+
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), "memory-"));
+
+const githubService = {
+  getRepositoryConfig: async (repo) =>
+    repo === "vocabulary" ? { sources: [{ language: "en" }] } : null,
+  getLabelFiles: async () => [
+    {
+      path: "labels/rooms.yml",
+      content: {
+        labels: [
+          { name: "kitchen", translations: [{ en: "Kitchen" }, { de: "Küche" }, { fr: "" }] },
+          { name: "living", translations: [{ en: "Living room" }, { de: "Wohnzimmer" }] },
+          { name: "untitled", translations: [{ de: "Ohne Titel" }] },
+        ],
+      },
+    },
+  ],
+};
+
+before(async () => {
+  process.env.TRANSLATION_MEMORY_PATH = path.join(directory, "memory.json");
+  await TranslationMemoryService.rebuild(githubService, ["vocabulary", "website"]);
+});
+
+after(async () => {
+  delete process.env.TRANSLATION_MEMORY_PATH;
+  TranslationMemoryService.memory = null;
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test("indexes the translated labels of vocabulary repositories only", async () => {
+  const stats = await TranslationMemoryService.getStats();
+
+  assert.equal(stats.entries, 2);
+  assert.deepEqual(stats.repositories, [{ repo: "vocabulary", entries: 2 }]);
+  assert.deepEqual(stats.languagePairs, { "en-de": 2 });
+});
+
+test("persists the memory between restarts", async () => {
+  TranslationMemoryService.memory = null;
+
+  const [match] = await TranslationMemoryService.lookup("kitchen", { target: "de" });
+
+  assert.equal(match.targetText, "Küche");
+});
+
+test("finds exact and fuzzy matches in the target language", async () => {
+  const exact = await TranslationMemoryService.lookup("  kitchen ", { source: "en", target: "de" });
+  assert.deepEqual(exact, [
+    {
+      match: "exact",
+      score: 1,
+      source: "en",
+      target: "de",
+      sourceText: "Kitchen",
+      targetText: "Küche",
+      origin: { repo: "vocabulary", file: "labels/rooms.yml", label: "kitchen" },
+    },
+  ]);
+
+  const [fuzzy] = await TranslationMemoryService.lookup("Living rooms", { target: "de" });
+  assert.equal(fuzzy.match, "fuzzy");
+  assert.equal(fuzzy.targetText, "Wohnzimmer");
+  assert.ok(fuzzy.score < 1);
+
+  assert.deepEqual(await TranslationMemoryService.lookup("Kitchen", { target: "fr" }), []);
+});
@@ -0,0 +1,33 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { LocalProvider } from "../services/translationProviders.js";
+
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), "local-mt-"));
+
+before(async () => {
+  process.env.LOCAL_MT_DICTIONARY = path.join(directory, "dictionary.json");
+  await fs.writeFile(process.env.LOCAL_MT_DICTIONARY, JSON.stringify({ fr: { salinity: "salinité" } }));
+});
+
+after(async () => {
+  delete process.env.LOCAL_MT_DICTIONARY;
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test("translates phrases of the local dictionary", async () => {
+  const result = await new LocalProvider().translate(" Salinity ", { source: "en", target: "fr" });
+
+  assert.deepEqual(result, { text: "salinité", detectedSource: "en" });
+});
+
+test("does not take Object.prototype members for phrases", async () => {
+  const provider = new LocalProvider();
+
+  for (const text of ["constructor", "toString", "__proto__"]) {
+    await assert.rejects(provider.translate(text, { target: "fr" }), /No local dictionary entry/);
+  }
+  await assert.rejects(provider.translate("salinity", { target: "constructor" }), /No local dictionary entry/);
+});
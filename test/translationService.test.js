@@ -0,0 +1,32 @@
+import { test, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { TranslationService } from "../services/translationService.js";
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("translates items differing only in tag case once", async () => {
+  const getSuggestion = mock.method(TranslationService, "getSuggestion", async (text, target) => ({
+    suggestion: `[${target}] ${text}`,
+  }));
+
+  const { results, summary } = await TranslationService.getBatchSuggestions([
+    { id: "a", text: "Sea", target: "fr" },
+    { id: "b", text: "Sea", target: "FR" },
+    { id: "c", text: "Sea", target: "fr", source: "EN" },
+    { id: "d", text: "Sea" },
+  ]);
+
+  assert.equal(getSuggestion.mock.callCount(), 2);
+  assert.deepEqual(
+    getSuggestion.mock.calls.map((call) => call.arguments.slice(0, 2)),
+    [
+      ["Sea", "fr"],
+      ["Sea", "fr"],
+    ]
+  );
+  assert.equal(results[1].suggestion, "[fr] Sea");
+  assert.ok(results[3].error);
+  assert.equal(summary.unique, 2);
+});
@@ -5,6 +5,16 @@ export const GITHUB_SCOPES = "write:packages%20write:repo_hook%20read:repo_hook%
 
 export const GITHUB_API_VERSION = "2022-11-28";
 
+// Maximum size of JSON request bodies, such as imported XLIFF files
+export const REQUEST_BODY_LIMIT = "10mb";
+
+// Number of label files fetched from GitHub at once when walking a branch
+export const LABEL_FILE_CONCURRENCY = 4;
+
+// Response header carrying the blob sha of a file, sent back as baseSha when
+// saving translations made on that version
+export const FILE_SHA_HEADER = "X-File-Sha";
+
 export const ERROR_MESSAGES = {
   GITHUB_CLIENT_ID_MISSING: "GitHub Client ID is missing in the environment variables.",
   GITHUB_CLIENT_SECRET_MISSING: "GitHub Client ID or Client Secret is missing in the environment variables.",
@@ -28,6 +38,49 @@ export const ERROR_MESSAGES = {
   USER_NOT_MEMBER: "User is not a member.",
   TRANSLATION_FIELDS_REQUIRED: '"text" and "target" fields are required in the request body.',
   TRANSLATION_ERROR: "An error occurred while translating the text.",
+  INVALID_LANGUAGE_TAG: "Invalid language tag. Use a BCP 47 tag such as nl, pt-BR or zh-Hant.",
+  UNKNOWN_PROVIDER: "Unknown translation provider",
+  NO_PROVIDER_AVAILABLE: "No translation provider was able to translate the text.",
+  PROVIDERS_MUST_BE_ARRAY: '"providers" must be an array of provider names.',
+  BATCH_ITEMS_REQUIRED: '"items" must be a non-empty array in the request body.',
+  BATCH_TOO_LARGE: "Too many items in the batch request.",
+  BACK_TRANSLATION_FIELDS_REQUIRED: '"translation", "original" and "source" are required, or "repo", "file" and "language" to check a label file.',
+  LABEL_NOT_FOUND: "Label not found in the file.",
+  INVALID_TRANSLATION_VALUE: "Translation must be a string.",
+  EMPTY_TRANSLATION: "An empty translation cannot add a new language.",
+  UNKNOWN_LABEL_NAME: "Label name is neither used in the file nor listed in the config.yml source items.",
+  FLOW_STYLE_UNSUPPORTED: "Entries cannot be added to flow-style ([...]) YAML collections.",
+  NEW_LABELS_MUST_BE_ARRAY: '"newLabels" must be an array of { name, translations } objects.',
+  BRANCH_MOVED: "The branch moved while the commit was being built; nothing was written. Reload and try again.",
+  FILE_MOVED: "The file kept changing while the translations were being written; nothing was written. Reload and try again.",
+  TRANSLATION_CONFLICTS: "The file changed since the version these translations were made on. Non-overlapping edits were applied; resolve the listed conflicts and send them again with the new sha.",
+  FILES_MUST_BE_ARRAY: '"files" must be a non-empty array of { filename, translations } objects with distinct filenames.',
+  LABEL_QUERY_LANGUAGE_REQUIRED: '"language" is required to filter on untranslated labels or sort by target.',
+  INVALID_LABEL_QUERY: '"sort" must be path, name, source or target, "order" asc or desc and "searchIn" source, target or all.',
+  INVALID_CURSOR: "Invalid pagination cursor.",
+  INVALID_STATS_QUERY: '"branch" and "repos" must each be given once.',
+  FILE_HISTORY_NOT_FOUND: "No commit on the branch touches this file.",
+  INVALID_EXCHANGE_FORMAT: '"format" must be xliff, tmx, csv or po.',
+  EXPORT_TARGET_REQUIRED: 'A single "target" language is required: XLIFF and PO hold one target language, and config.yml lists none or several.',
+  INVALID_IMPORT_FORMAT: '"format" must be xliff, tmx or csv.',
+  INVALID_IMPORT_FIELDS: '"repo", "branch", "format" and "content" must be strings, as must "target" and "message" when given.',
+  IMPORT_SOURCE_LANGUAGE_MISMATCH: "The source language of the file does not match the config.yml source language.",
+  INVALID_SKOS_FORMAT: '"format" must be turtle, jsonld or rdfxml.',
+  SKOS_BASE_URI_REQUIRED: "config.yml has no base_uri to build concept URIs from.",
+  INVALID_FILE_SCHEMA: "The YAML does not match the label file or config.yml schema.",
+  CONTEXT_FIELDS_REQUIRED: '"file" and "label" are both required for context and need "repo".',
+  INVALID_PROVENANCE: "Invalid translation provenance.",
+  INVALID_GITHUB_TOKEN: "The GitHub token in the authorization header is invalid or expired.",
+  USER_QUOTA_EXCEEDED: "Your daily translation quota is exhausted.",
+  GLOBAL_QUOTA_EXCEEDED: "The daily translation quota of the server is exhausted.",
+  QA_INPUT_REQUIRED: 'Either "text" and "translation", or "repo", are required in the request body.',
+  GLOSSARY_INVALID: "Invalid glossary.",
+  GLOSSARY_FILE_INVALID: "glossary.json must contain a JSON array of terms.",
+  GLOSSARY_TERM_NOT_FOUND: "Term not found in the glossary.",
+  GLOSSARY_TERM_REQUIRED: '"term" must be a non-empty string.',
+  ORG_ADMIN_REQUIRED: "This operation requires an organization administrator token.",
+  ORG_MEMBER_REQUIRED: "This operation requires the token of an organization member.",
+  GLOSSARY_REVIEWER_REQUIRED: "Only reviewers listed in reviewers.json can modify the glossary.",
   INTERNAL_SERVER_ERROR: "An unexpected error occurred.",
   GITHUB_API_ERROR: "An error occurred while communicating with the GitHub API.",
   GATEWAY_TIMEOUT: "No response received from GitHub API.",
@@ -35,14 +88,59 @@ export const ERROR_MESSAGES = {
   WORKFLOW_SCOPE_REQUIRED: "The 'workflow' scope is required to create or modify workflow files."
 };
 
+export const TRANSLATION_DEFAULTS = {
+  PROVIDERS: "google",
+  TIMEOUT_MS: 10000,
+  FAILURE_THRESHOLD: 3,
+  COOLDOWN_MS: 60000,
+  BATCH_MAX_ITEMS: 500,
+  BATCH_CONCURRENCY: 4,
+  N_BEST: 5,
+  MEMORY_PATH: "data/translation-memory.json",
+  MEMORY_MIN_SCORE: 0.75,
+  MEMORY_MAX_MATCHES: 5,
+  CACHE_PATH: "data/suggestion-cache.json",
+  CACHE_TTL_MS: 30 * 24 * 60 * 60 * 1000,
+  CACHE_MAX_ENTRIES: 50000,
+  CACHE_SAVE_DELAY_MS: 1000
+};
+
+// Page size and label cache of label queries (GET /api/github/labels)
+export const LABEL_QUERY_DEFAULTS = {
+  LIMIT: 50,
+  MAX_LIMIT: 200,
+  // Branch heads whose collected labels are kept in memory
+  CACHE_MAX_ENTRIES: 20
+};
+
+// Commits walked by label histories (GET /api/github/labels/history)
+export const LABEL_HISTORY_DEFAULTS = {
+  LIMIT: 30,
+  MAX_LIMIT: 100
+};
+
+// Daily translation quotas; a limit of 0 means unlimited
+export const QUOTA_DEFAULTS = {
+  USER_DAILY_REQUESTS: 1000,
+  USER_DAILY_CHARACTERS: 100000,
+  GLOBAL_DAILY_REQUESTS: 20000,
+  GLOBAL_DAILY_CHARACTERS: 2000000,
+  USAGE_PATH: "data/quota-usage.json",
+  IDENTITY_TTL_MS: 10 * 60 * 1000,
+  SAVE_DELAY_MS: 1000
+};
+
 export const STATUS_CODES = {
   OK: 200,
   CREATED: 201,
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   GATEWAY_TIMEOUT: 504
 };
\ No newline at end of file
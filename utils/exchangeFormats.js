@@ -0,0 +1,458 @@
+import { STATUS_CODES } from "./constants.js";
+
+// Translation exchange formats used by CAT tools (OmegaT, Trados, Poedit,
+// spreadsheets): XLIFF 2.0, TMX 1.4, CSV and gettext PO
+// A unit is one label of a label file:
+// { id, path, name, source, translations: { language: value }, provenance }
+
+/**
+ * File extension and media type of each export format
+ */
+export const EXCHANGE_FORMATS = {
+  xliff: { extension: "xlf", contentType: "application/xliff+xml; charset=utf-8" },
+  tmx: { extension: "tmx", contentType: "application/x-tmx+xml; charset=utf-8" },
+  csv: { extension: "csv", contentType: "text/csv; charset=utf-8" },
+  po: { extension: "po", contentType: "text/x-gettext-translation; charset=utf-8" },
+};
+
+// Formats holding a single target language per document
+export const SINGLE_TARGET_FORMATS = ["xliff", "po"];
+
+/**
+ * Stable unit ID of a label: file path and label name, with the occurrence
+ * number for repeated names such as several altLabels
+ * (P01/SDN_P01_ABC.yml#altLabel, P01/SDN_P01_ABC.yml#altLabel.2)
+ */
+export function getUnitId(path, name, occurrence = 1) {
+  return `${path}#${occurrence > 1 ? `${name}.${occurrence}` : name}`;
+}
+
+/**
+ * Units of label files ([{ path, content }]) in file order
+ * Language keys are canonicalized with canonicalize(tag)
+ */
+export function getUnits(files, sourceLanguage, canonicalize = (tag) => tag) {
+  return files.flatMap(({ path, content }) => {
+    const occurrences = {};
+    return content.labels.map((label) => {
+      occurrences[label.name] = (occurrences[label.name] || 0) + 1;
+      const translations = {};
+      (label.translations || []).forEach((translation) => {
+        Object.entries(translation || {}).forEach(([language, value]) => {
+          translations[canonicalize(language) || language] = value ? String(value) : null;
+        });
+      });
+      return {
+        id: getUnitId(path, label.name, occurrences[label.name]),
+        path,
+        name: label.name,
+        occurrence: occurrences[label.name],
+        source: translations[sourceLanguage] ?? null,
+        translations,
+        provenance: label.provenance || {},
+      };
+    });
+  });
+}
+
+// Characters not allowed in XML 1.0 documents
+const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(INVALID_XML_CHARACTERS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// XML name token for XLIFF file and unit IDs
+function toNameToken(value) {
+  return String(value).replace(/[^\p{L}\p{N}._:-]/gu, "_");
+}
+
+/**
+ * Unit ID inside an XLIFF file element, where the file path is already known
+ */
+export function getLocalUnitId(unit) {
+  return toNameToken(unit.id.slice(unit.path.length + 1));
+}
+
+/**
+ * XLIFF 2.0 document with one file element per label file
+ * Untranslated units have no target and the "initial" state
+ */
+export function toXliff(units, { source, target }) {
+  const files = new Map();
+  units.forEach((unit) => {
+    files.set(unit.path, [...(files.get(unit.path) || []), unit]);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(source)}" trgLang="${escapeXml(target)}">`,
+  ];
+  files.forEach((fileUnits, path) => {
+    lines.push(`  <file id="${escapeXml(toNameToken(path))}" original="${escapeXml(path)}">`);
+    fileUnits.forEach((unit) => {
+      const translation = unit.translations[target];
+      lines.push(
+        `    <unit id="${escapeXml(getLocalUnitId(unit))}" name="${escapeXml(unit.name)}">`,
+        `      <segment state="${translation ? "translated" : "initial"}">`,
+        `        <source>${escapeXml(unit.source)}</source>`,
+        ...(translation ? [`        <target>${escapeXml(translation)}</target>`] : []),
+        "      </segment>",
+        "    </unit>"
+      );
+    });
+    lines.push("  </file>");
+  });
+  lines.push("</xliff>", "");
+  return lines.join("\n");
+}
+
+/**
+ * TMX 1.4 memory with one translation unit per label holding the source and
+ * every translated target language
+ */
+export function toTmx(units, { source, targets }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="marine-term-translations" creationtoolversion="1.0" segtype="phrase" o-tmf="yaml" adminlang="en" srclang="${escapeXml(source)}" datatype="plaintext"/>`,
+    "  <body>",
+  ];
+  units.forEach((unit) => {
+    lines.push(`    <tu tuid="${escapeXml(unit.id)}">`);
+    [source, ...targets]
+      .filter((language) => unit.translations[language])
+      .forEach((language) => {
+        lines.push(
+          `      <tuv xml:lang="${escapeXml(language)}"><seg>${escapeXml(unit.translations[language])}</seg></tuv>`
+        );
+      });
+    lines.push("    </tu>");
+  });
+  lines.push("  </body>", "</tmx>", "");
+  return lines.join("\n");
+}
+
+function csvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV (RFC 4180) with the unit ID, file, label and one column per language
+ */
+export function toCsv(units, { source, targets }) {
+  const languages = [source, ...targets];
+  const rows = [
+    ["id", "file", "label", ...languages],
+    ...units.map((unit) => [
+      unit.id,
+      unit.path,
+      unit.name,
+      ...languages.map((language) => unit.translations[language]),
+    ]),
+  ];
+  return `${rows.map((row) => row.map(csvField).join(",")).join("\r\n")}\r\n`;
+}
+
+function poString(value) {
+  const escaped = String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, "\\t")
+    .replace(/\r/g, "\\r")
+    .replace(/\n/g, "\\n");
+  return `"${escaped}"`;
+}
+
+/**
+ * gettext PO catalog for one target language; the unit ID is the msgctxt
+ * Machine and other non-human translations are marked fuzzy for review
+ */
+export function toPo(units, { source, target }) {
+  const header = [
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: 8bit",
+    `Language: ${target}`,
+    `X-Source-Language: ${source}`,
+  ];
+  const entries = [
+    ['msgid ""', 'msgstr ""', ...header.map((line) => poString(`${line}\n`))].join("\n"),
+    ...units.map((unit) => {
+      const translation = unit.translations[target];
+      const origin = unit.provenance[target]?.origin;
+      return [
+        `#: ${unit.path}`,
+        ...(translation && origin && origin !== "human" ? ["#, fuzzy"] : []),
+        `msgctxt ${poString(unit.id)}`,
+        `msgid ${poString(unit.source)}`,
+        `msgstr ${poString(translation)}`,
+      ].join("\n");
+    }),
+  ];
+  return `${entries.join("\n\n")}\n`;
+}
+
+/**
+ * Serialize units in an export format
+ * options: { source, target, targets }
+ */
+export function serializeUnits(format, units, options) {
+  const serializers = { xliff: toXliff, tmx: toTmx, csv: toCsv, po: toPo };
+  return serializers[format](units, options);
+}
+
+/**
+ * Formats translations can be imported from
+ */
+export const IMPORT_FORMATS = ["xliff", "tmx", "csv"];
+
+function invalidFile(format, reason) {
+  const error = new Error(`Invalid ${format.toUpperCase()} file: ${reason}`);
+  error.status = STATUS_CODES.BAD_REQUEST;
+  return error;
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+// Character references must name a Unicode scalar value other than NUL
+function decodeEntities(text, format) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const hexadecimal = name[1] === "x" || name[1] === "X";
+      const codePoint = hexadecimal ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      if (
+        !Number.isInteger(codePoint) ||
+        codePoint < 1 ||
+        codePoint > 0x10ffff ||
+        (codePoint >= 0xd800 && codePoint <= 0xdfff)
+      ) {
+        throw invalidFile(format, `invalid character reference ${entity}`);
+      }
+      return String.fromCodePoint(codePoint);
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
+
+/**
+ * Small XML parser for exchange files: elements with their attributes and
+ * children (elements and text); comments, processing instructions and the
+ * DOCTYPE are skipped
+ * Returns the root element { name, attributes, children }
+ */
+export function parseXml(text, format = "xml") {
+  const root = { name: "#document", attributes: {}, children: [] };
+  const stack = [root];
+  const tokens =
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  let position = 0;
+  let match;
+  while ((match = tokens.exec(text))) {
+    if (match.index !== position) {
+      break;
+    }
+    position = tokens.lastIndex;
+
+    const [, cdata, closing, opening, attributes, selfClosing, characters] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.children.push(cdata);
+    } else if (characters !== undefined) {
+      current.children.push(decodeEntities(characters, format));
+    } else if (closing) {
+      if (current.name !== closing) {
+        throw invalidFile(format, `unexpected </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const element = { name: opening, attributes: {}, children: [] };
+      (attributes.match(/[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*')/g) || []).forEach((attribute) => {
+        const [, name, value] = /^([^\s=]+)\s*=\s*["']([\s\S]*)["']$/.exec(attribute);
+        element.attributes[name] = decodeEntities(value, format);
+      });
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (position !== text.length || stack.length !== 1) {
+    throw invalidFile(format, "malformed XML");
+  }
+  const element = root.children.find((child) => typeof child === "object");
+  if (!element) {
+    throw invalidFile(format, "no root element");
+  }
+  return element;
+}
+
+// Element name without its namespace prefix
+function localName(element) {
+  return element.name.split(":").pop();
+}
+
+// Descendant elements with a local name, in document order
+function findElements(element, name) {
+  return element.children
+    .filter((child) => typeof child === "object")
+    .flatMap((child) => [...(localName(child) === name ? [child] : []), ...findElements(child, name)]);
+}
+
+// Text content of an element, including that of inline markup
+function textOf(element) {
+  return element.children
+    .map((child) => (typeof child === "string" ? child : textOf(child)))
+    .join("");
+}
+
+/**
+ * Units of an XLIFF 2.0 (or 1.2) document, identified by the file's
+ * original path and the unit ID as written by toXliff
+ * Returns { source, units: [{ id, source, translations }] }
+ */
+export function parseXliff(text) {
+  const root = parseXml(text, "xliff");
+  if (localName(root) !== "xliff") {
+    throw invalidFile("xliff", "the root element is not <xliff>");
+  }
+  const version2 = String(root.attributes.version || "").startsWith("2");
+
+  let source = root.attributes.srcLang || null;
+  const units = findElements(root, "file").flatMap((file) => {
+    const path = file.attributes.original || file.attributes.id;
+    const target = version2 ? root.attributes.trgLang : file.attributes["target-language"];
+    source = source || file.attributes["source-language"] || null;
+
+    return findElements(file, version2 ? "unit" : "trans-unit").map((unit) => {
+      const targets = findElements(unit, "target");
+      return {
+        id: `${path}#${unit.attributes.id}`,
+        source: findElements(unit, "source").map(textOf).join(""),
+        translations: target && targets.length > 0 ? { [target]: targets.map(textOf).join("") } : {},
+      };
+    });
+  });
+  return { source, units };
+}
+
+/**
+ * Translation units of a TMX document, identified by their tuid
+ * Returns { source, units: [{ id, source, translations }] }
+ */
+export function parseTmx(text, { sourceLanguage } = {}) {
+  const root = parseXml(text, "tmx");
+  if (localName(root) !== "tmx") {
+    throw invalidFile("tmx", "the root element is not <tmx>");
+  }
+  const header = findElements(root, "header")[0];
+  const declared = header?.attributes.srclang;
+  const source = declared && declared !== "*all*" ? declared : sourceLanguage;
+
+  const units = findElements(root, "tu").map((tu) => {
+    const values = {};
+    findElements(tu, "tuv").forEach((tuv) => {
+      const language = tuv.attributes["xml:lang"] || tuv.attributes.lang;
+      const segment = findElements(tuv, "seg")[0];
+      if (language && segment) {
+        values[language] = textOf(segment);
+      }
+    });
+    const sourceKey = Object.keys(values).find(
+      (language) => language.toLowerCase() === String(source).toLowerCase()
+    );
+    const { [sourceKey]: sourceText = null, ...translations } = values;
+    return { id: tu.attributes.tuid || null, source: sourceText, translations };
+  });
+  return { source, units };
+}
+
+/**
+ * Rows of an RFC 4180 CSV text, ignoring a byte order mark
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < input.length; index += 1) {
+    const character = input[index];
+    if (quoted) {
+      if (character === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"' && field === "") {
+      quoted = true;
+    } else if (character === ",") {
+      row.push(field);
+      field = "";
+    } else if (character === "\n" || character === "\r") {
+      if (character === "\r" && input[index + 1] === "\n") {
+        index += 1;
+      }
+      rows.push([...row, field]);
+      row = [];
+      field = "";
+    } else {
+      field += character;
+    }
+  }
+  if (quoted) {
+    throw invalidFile("csv", "unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    rows.push([...row, field]);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell !== ""));
+}
+
+/**
+ * Units of a CSV file as written by toCsv: an id column and one column per
+ * language, the source language being sourceLanguage
+ * Returns { source, units: [{ id, source, translations }] }
+ */
+export function parseCsv(text, { sourceLanguage } = {}) {
+  const [header, ...rows] = parseCsvRows(text);
+  const idColumn = (header || []).indexOf("id");
+  if (idColumn === -1) {
+    throw invalidFile("csv", 'the header has no "id" column');
+  }
+  const languageColumns = header
+    .map((name, column) => ({ name: name.trim(), column }))
+    .filter(({ name }) => !["id", "file", "label"].includes(name) && name);
+
+  const units = rows.map((cells) => {
+    const values = Object.fromEntries(
+      languageColumns.map(({ name, column }) => [name, cells[column] ?? ""])
+    );
+    const sourceKey = Object.keys(values).find(
+      (language) => language.toLowerCase() === String(sourceLanguage).toLowerCase()
+    );
+    const { [sourceKey]: source = null, ...translations } = values;
+    return { id: cells[idColumn] || null, source, translations };
+  });
+  return { source: sourceLanguage, units };
+}
+
+/**
+ * Parse an import file in one of IMPORT_FORMATS
+ */
+export function parseImportFile(format, text, options) {
+  const parsers = { xliff: parseXliff, tmx: parseTmx, csv: parseCsv };
+  return parsers[format](String(text ?? ""), options);
+}
@@ -0,0 +1,270 @@
+import { stringify, parseDocument, LineCounter } from "yaml";
+import { canonicalizeLanguageTag } from "./languages.js";
+
+// Helpers for the label YAML files and config.yml stored in vocabulary repositories
+// A label file looks like:
+//   labels:
+//     - name: prefLabel
+//       translations:
+//         - en: "Sea surface temperature"
+//         - fr: ""
+//       provenance:
+//         fr:
+//           origin: "machine"
+//           provider: "deepl"
+//           author: "octocat"
+//           timestamp: "2024-05-01T10:00:00.000Z"
+
+/**
+ * Files in a repository tree that are not label files
+ */
+const NON_LABEL_FILES = ["config.yml", "config.yaml"];
+
+/**
+ * Whether a path from getRepositoryTree points to a label file
+ */
+export function isLabelFilePath(path) {
+  return (
+    !NON_LABEL_FILES.includes(path) &&
+    !path.startsWith(".github/") &&
+    (path.endsWith(".yml") || path.endsWith(".yaml"))
+  );
+}
+
+/**
+ * Whether parsed YAML content has the label file shape
+ */
+export function isLabelFileContent(content) {
+  return Boolean(content && Array.isArray(content.labels));
+}
+
+/**
+ * Flatten a label's translations array into a { language: value } map
+ */
+export function getLabelTranslations(label) {
+  const values = {};
+  (label.translations || []).forEach((translation) => {
+    Object.entries(translation || {}).forEach(([language, value]) => {
+      values[language] = value;
+    });
+  });
+  return values;
+}
+
+/**
+ * 1-based line of each label of a label file's text (its "- name" item), in
+ * file order
+ */
+export function getLabelLines(text) {
+  const lineCounter = new LineCounter();
+  const labels = parseDocument(text, { lineCounter }).get("labels", true);
+  return (labels?.items || []).map((label) =>
+    label?.range ? lineCounter.linePos(label.range[0]).line : null
+  );
+}
+
+/**
+ * Source-language texts of the other labels of a concept (definition,
+ * altLabel, ...) keyed by label name, giving context to the translation of
+ * one label; null if the file has no such label
+ */
+export function getLabelContext(content, labelName, sourceLanguage) {
+  if (!isLabelFileContent(content)) {
+    return null;
+  }
+  const label = content.labels.find((item) => item.name === labelName);
+  if (!label) {
+    return null;
+  }
+
+  const context = {};
+  content.labels.forEach((other) => {
+    const value = getLabelTranslations(other)[sourceLanguage];
+    if (other === label || typeof value !== "string" || !value.trim()) {
+      return;
+    }
+    context[other.name] = context[other.name] ? `${context[other.name]}; ${value}` : value;
+  });
+  return context;
+}
+
+/**
+ * Where a translation came from: typed by a person, produced by a machine
+ * translation provider, or taken from the translation memory or glossary
+ */
+export const PROVENANCE_ORIGINS = ["human", "machine", "translation-memory", "glossary"];
+
+/**
+ * Provenance records of a label keyed by language
+ */
+export function getLabelProvenance(label) {
+  return label?.provenance && typeof label.provenance === "object" ? label.provenance : {};
+}
+
+/**
+ * Record who or what produced the translation of a label in one language
+ */
+export function setLabelProvenance(label, language, fields) {
+  label.provenance = {
+    ...getLabelProvenance(label),
+    [language]: createProvenanceRecord(fields),
+  };
+}
+
+/**
+ * Provenance record as stored in a label file, without empty fields
+ */
+export function createProvenanceRecord({ origin, provider, author, timestamp }) {
+  return {
+    origin,
+    ...(provider ? { provider } : {}),
+    ...(author ? { author } : {}),
+    timestamp: timestamp || new Date().toISOString(),
+  };
+}
+
+/**
+ * Provenance origin of a suggestion, from the provider field it was reported with
+ */
+export function getSuggestionProvenance(provider) {
+  if (provider === "translation-memory" || provider === "glossary") {
+    return { origin: provider };
+  }
+  return { origin: "machine", provider };
+}
+
+/**
+ * Translations that differ between two versions of a label file, with the
+ * provenance recorded in the newer version
+ */
+export function getTranslationChanges(before, after) {
+  if (!isLabelFileContent(after)) {
+    return [];
+  }
+  const beforeLabels = new Map(
+    (isLabelFileContent(before) ? before.labels : []).map((label) => [label.name, label])
+  );
+
+  const changes = [];
+  after.labels.forEach((label) => {
+    const previous = getLabelTranslations(beforeLabels.get(label.name) || {});
+    const provenance = getLabelProvenance(label);
+    Object.entries(getLabelTranslations(label)).forEach(([language, value]) => {
+      if (previous[language] === value) {
+        return;
+      }
+      changes.push({
+        label: label.name,
+        language,
+        before: previous[language] ?? null,
+        after: value,
+        provenance: provenance[language] || null,
+      });
+    });
+  });
+  return changes;
+}
+
+/**
+ * Indexes of the labels a translations key refers to: every label with that
+ * name, or for a key such as "altLabel.2" (see getUnitId) only the second
+ * label named altLabel
+ */
+export function findLabelIndexes(labels, key) {
+  const indexesOf = (name) =>
+    labels
+      .map((label, labelIndex) => (label.name === name ? labelIndex : -1))
+      .filter((labelIndex) => labelIndex !== -1);
+
+  const named = indexesOf(key);
+  const occurrence = /^(.+)\.(\d+)$/.exec(key);
+  if (named.length > 0 || !occurrence) {
+    return named;
+  }
+  const labelIndex = indexesOf(occurrence[1])[Number(occurrence[2]) - 1];
+  return labelIndex === undefined ? [] : [labelIndex];
+}
+
+/**
+ * Three-way merge of translation edits made on an older version of a label
+ * file (base) with the version now on the branch (current), per label and
+ * language
+ * An edit applies when the branch did not change that translation since base
+ * or already holds the same value; a translation the client left as it was in
+ * base keeps the branch's value; anything else is a conflict
+ * Returns { translations, kept, conflicts }: the edits to apply, the
+ * [{ label, language }] left to the branch and the
+ * [{ label, language, base, theirs, mine }] that overlap
+ */
+export function mergeTranslationEdits(base, current, translations) {
+  // Keys such as "altLabel.2" compare that occurrence, plain names the first
+  const valuesOf = (content, labelName) => {
+    const labels = isLabelFileContent(content) ? content.labels : [];
+    const label = labels[findLabelIndexes(labels, labelName)[0]];
+    const values = {};
+    Object.entries(label ? getLabelTranslations(label) : {}).forEach(([language, value]) => {
+      values[canonicalizeLanguageTag(language) || language] = value || null;
+    });
+    return values;
+  };
+
+  const merged = { translations: {}, kept: [], conflicts: [] };
+  Object.entries(translations || {}).forEach(([labelName, languages]) => {
+    const baseValues = valuesOf(base, labelName);
+    const currentValues = valuesOf(current, labelName);
+
+    Object.entries(languages || {}).forEach(([language, mine]) => {
+      const tag = canonicalizeLanguageTag(language) || language;
+      const baseValue = baseValues[tag] ?? null;
+      const theirs = currentValues[tag] ?? null;
+      // Invalid values go through so that the edit reports why they were rejected
+      const value = typeof mine === "string" ? mine || null : mine;
+
+      if (theirs === baseValue || theirs === value || typeof mine !== "string") {
+        merged.translations[labelName] = { ...merged.translations[labelName], [language]: mine };
+      } else if (value === baseValue) {
+        merged.kept.push({ label: labelName, language });
+      } else {
+        merged.conflicts.push({ label: labelName, language, base: baseValue, theirs, mine });
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Source language declared in a repository's config.yml (sources[].language)
+ */
+export function getConfigSourceLanguage(config) {
+  const source = (config?.sources || []).find((item) => item && item.language);
+  return source ? String(source.language) : null;
+}
+
+/**
+ * YAML output options of label files: double-quoted values, plain keys and
+ * no line folding
+ */
+export const LABEL_FILE_YAML_OPTIONS = {
+  quotingType: '"',
+  prettyErrors: true,
+  lineWidth: 0,
+  defaultStringType: "QUOTE_DOUBLE",
+  defaultKeyType: "PLAIN",
+};
+
+/**
+ * Label names listed in the items of the config.yml sources
+ */
+export function getConfigItemNames(config) {
+  return (config?.sources || []).flatMap((source) =>
+    (source?.items || []).map((item) => item?.name).filter(Boolean)
+  );
+}
+
+/**
+ * Serialize whole label file content; edits of existing files go through
+ * LabelFileEditor to keep their formatting
+ */
+export function stringifyLabelFile(content) {
+  return stringify(content, LABEL_FILE_YAML_OPTIONS);
+}
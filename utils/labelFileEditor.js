@@ -0,0 +1,391 @@
+import { parseDocument, stringify } from "yaml";
+import { diffLines } from "diff";
+import { canonicalizeLanguageTag } from "./languages.js";
+import {
+  LABEL_FILE_YAML_OPTIONS,
+  getLabelProvenance,
+  createProvenanceRecord,
+  findLabelIndexes,
+} from "./labelFile.js";
+import { ERROR_MESSAGES } from "./constants.js";
+
+// Text inserted at the same offset (the end of a label) comes in this order:
+// translations of the label, its provenance, then new labels
+const SPLICE_ORDER = { TRANSLATION: 0, PROVENANCE: 1, LABEL: 2 };
+
+/**
+ * Format-preserving edits of a label file
+ * Translations and provenance are changed by splicing the original text at the
+ * source ranges of the YAML nodes, so that comments, quoting, folding and
+ * untouched lines stay exactly as they were and PR diffs only show the edited
+ * values
+ */
+export class LabelFileEditor {
+  constructor(text) {
+    this.text = text;
+    // Inserted lines use the file's own line break
+    this.lineBreak = text.includes("\r\n") ? "\r\n" : "\n";
+    this.document = parseDocument(text);
+    this.content = this.document.toJS();
+    this.splices = [];
+    // label index -> { language: provenance record }
+    this.provenance = new Map();
+  }
+
+  /**
+   * Parsed labels, in file order
+   */
+  get labels() {
+    return this.content.labels;
+  }
+
+  /**
+   * Set the translation of a label in one language
+   * Returns "updated", "unchanged" or "missing" when the label has no entry
+   * for the language
+   */
+  setTranslation(labelIndex, language, value) {
+    const pair = this.findTranslation(labelIndex, language);
+    if (!pair) {
+      return "missing";
+    }
+
+    const node = pair.value;
+    const current = node?.value ?? null;
+    if (current === value || (current === null && value === "")) {
+      return "unchanged";
+    }
+
+    const rendered = renderScalar(value, current === null ? null : node.type);
+    if (!node?.range || node.range[0] === node.range[1]) {
+      // "fr:" without a value: insert after the colon
+      const position = node?.range ? node.range[0] : pair.key.range[1] + 1;
+      const separator = this.text[position - 1] === ":" ? " " : "";
+      this.splices.push({ start: position, end: position, text: `${separator}${rendered}` });
+    } else {
+      const [start, end] = node.range;
+      // Block scalars own their trailing line break
+      const lineBreak = this.text.slice(start, end).endsWith("\n") ? this.lineBreak : "";
+      this.splices.push({ start, end, text: `${rendered}${lineBreak}` });
+    }
+
+    this.labels[labelIndex].translations.forEach((entry) => {
+      if (entry && pair.key.value in entry) {
+        entry[pair.key.value] = value;
+      }
+    });
+    return "updated";
+  }
+
+  /**
+   * Translation entry of a label for a language, matching tags in any case
+   * (pt-br finds pt-BR)
+   */
+  findTranslation(labelIndex, language) {
+    const translations = this.document.getIn(["labels", labelIndex, "translations"], true);
+    const canonical = canonicalizeLanguageTag(language);
+    return translations?.items
+      .flatMap((item) => item.items || [])
+      .find((item) => {
+        const key = String(item.key?.value);
+        return key === language || (canonical && canonicalizeLanguageTag(key) === canonical);
+      });
+  }
+
+  /**
+   * Append a translation entry for a language the label does not have yet
+   * Returns "added", or "unsupported" for flow-style translations ([...])
+   */
+  addTranslation(labelIndex, language, value) {
+    const translations = this.document.getIn(["labels", labelIndex, "translations"], true);
+    if (!translations?.range || translations.flow) {
+      return "unsupported";
+    }
+
+    const start = translations.range[0];
+    const line = `- ${language}: ${renderScalar(value, null)}`;
+    this.splices.push(this.appendToBlock(translations.range[1], start, [line]));
+    this.labels[labelIndex].translations.push({ [language]: value });
+    return "added";
+  }
+
+  /**
+   * Append a new label ({ name, translations: [{ language: value }], provenance })
+   * at the end of the file's labels
+   * Returns "added", or "unsupported" for flow-style labels ([...])
+   */
+  addLabel(label) {
+    const labels = this.document.get("labels", true);
+    if (!labels?.range || labels.flow) {
+      return "unsupported";
+    }
+
+    const lines = stringify([label], LABEL_FILE_YAML_OPTIONS).trimEnd().split(/\r?\n/);
+    this.splices.push({
+      ...this.appendToBlock(labels.range[1], labels.range[0], lines),
+      order: SPLICE_ORDER.LABEL,
+    });
+    this.labels.push(label);
+    return "added";
+  }
+
+  /**
+   * Splice adding lines at the end of a block collection, indented like its
+   * first item
+   * A collection ending in an empty value ("- fr:") ends before its line
+   * break, so the lines go at the start of the next line
+   */
+  appendToBlock(position, firstItem, lines) {
+    const indent = " ".repeat(firstItem - this.lineStart(firstItem));
+    let start = position;
+    if (start > 0 && this.text[start - 1] !== "\n") {
+      const nextLine = this.text.indexOf("\n", start);
+      start = nextLine === -1 ? this.text.length : nextLine + 1;
+    }
+    return {
+      start,
+      end: start,
+      text: `${lines.map((line) => indent + line).join(this.lineBreak)}${this.lineBreak}`,
+      append: true,
+    };
+  }
+
+  /**
+   * Record the provenance of a label's translation in one language
+   * fields: { origin, provider, author, timestamp }
+   */
+  setProvenance(labelIndex, language, fields) {
+    const records = this.provenance.get(labelIndex) || {};
+    records[language] = createProvenanceRecord(fields);
+    this.provenance.set(labelIndex, records);
+  }
+
+  /**
+   * Updated file text
+   */
+  toString() {
+    const splices = this.splices.map((splice) => ({ ...splice }));
+    this.provenance.forEach((records, labelIndex) => {
+      splices.push({ ...this.provenanceSplice(labelIndex, records), order: SPLICE_ORDER.PROVENANCE });
+    });
+
+    // Lines appended to a block at the end of a file without a final line
+    // break go after one
+    let text = this.text;
+    if (!text.endsWith("\n") && splices.some((splice) => splice.append && splice.start === text.length)) {
+      const end = text.length;
+      text += this.lineBreak;
+      splices.forEach((splice) => {
+        if (splice.append && splice.start === end) {
+          splice.start = splice.end = text.length;
+        }
+      });
+    }
+
+    // From the end so that earlier offsets stay valid; at the same offset the
+    // splice that must come last goes in first
+    return splices
+      .map((splice, index) => ({ order: SPLICE_ORDER.TRANSLATION, ...splice, index }))
+      .sort((a, b) => b.start - a.start || b.order - a.order || b.index - a.index)
+      .reduce(
+        (result, splice) => result.slice(0, splice.start) + splice.text + result.slice(splice.end),
+        text
+      );
+  }
+
+  /**
+   * Rewrite (or append) the provenance map of a label, which is managed by
+   * the backend and therefore always rendered in the label file style
+   */
+  provenanceSplice(labelIndex, records) {
+    const label = this.document.getIn(["labels", labelIndex], true);
+    const indent = " ".repeat(label.range[0] - this.lineStart(label.range[0]));
+    const merged = { ...getLabelProvenance(this.labels[labelIndex]), ...records };
+    this.labels[labelIndex].provenance = merged;
+
+    const lines = stringify({ provenance: merged }, LABEL_FILE_YAML_OPTIONS)
+      .trimEnd()
+      .split(/\r?\n/);
+    const existing = label.items.find((pair) => pair.key?.value === "provenance");
+
+    if (existing) {
+      const start = existing.key.range[0];
+      const end = existing.value?.range ? existing.value.range[1] : existing.key.range[1];
+      const lineBreak = this.text.slice(start, end).endsWith("\n") ? this.lineBreak : "";
+      const text = lines
+        .map((line, index) => (index === 0 ? line : indent + line))
+        .join(this.lineBreak);
+      return { start, end, text: `${text}${lineBreak}` };
+    }
+
+    return this.appendToBlock(label.range[1], label.range[0], lines);
+  }
+
+  lineStart(position) {
+    return this.text.lastIndexOf("\n", position - 1) + 1;
+  }
+
+  /**
+   * 1-based line numbers of the updated text that differ from the original
+   */
+  getChangedLines(updatedText = this.toString()) {
+    const lines = [];
+    let line = 1;
+    diffLines(this.text, updatedText).forEach((part) => {
+      if (part.removed) {
+        return;
+      }
+      if (part.added) {
+        for (let index = 0; index < part.count; index += 1) {
+          lines.push(line + index);
+        }
+      }
+      line += part.count;
+    });
+    return lines;
+  }
+}
+
+/**
+ * Apply the translation edits of one file and report what happened
+ * translations: { label: { language: value } } updates labels by name (or
+ * one occurrence of a repeated name, see findLabelIndexes) and adds
+ * languages they lack; newLabels ([{ name, translations, provenance }])
+ * appends labels whose name is used in the file or in configItemNames
+ * Changed translations get a provenance record: origin "human" unless
+ * provenance[label][language] (or the new label's provenance) says otherwise
+ * Returns { content, changed, lines, report } with, per label, the languages
+ * added, updated, unchanged and rejected with the reason
+ */
+export function editLabelFile(
+  text,
+  { translations = {}, provenance = {}, newLabels = [], configItemNames = [], author }
+) {
+  const editor = new LabelFileEditor(text);
+  const timestamp = new Date().toISOString();
+  const provenanceFields = (records, language) => ({
+    origin: records?.[language]?.origin || "human",
+    provider: records?.[language]?.provider,
+    author,
+    timestamp,
+  });
+
+  const report = [];
+  const reportFor = (label, isNew = false) => {
+    const entry = {
+      label,
+      ...(isNew ? { new: true } : {}),
+      added: [],
+      updated: [],
+      unchanged: [],
+      rejected: [],
+    };
+    report.push(entry);
+    return entry;
+  };
+  // Language tag and value checks shared by updates and new labels
+  const rejection = (language, term) => {
+    if (typeof term !== "string") return ERROR_MESSAGES.INVALID_TRANSLATION_VALUE;
+    if (!canonicalizeLanguageTag(language)) return ERROR_MESSAGES.INVALID_LANGUAGE_TAG;
+    return null;
+  };
+
+  Object.entries(translations).forEach(([labelName, languages]) => {
+    const entry = reportFor(labelName);
+    const labelIndexes = findLabelIndexes(editor.labels, labelName);
+
+    Object.entries(languages || {}).forEach(([language, term]) => {
+      const reason =
+        labelIndexes.length === 0 ? ERROR_MESSAGES.LABEL_NOT_FOUND : rejection(language, term);
+      if (reason) {
+        entry.rejected.push({ language, reason });
+        return;
+      }
+
+      let outcome = "unchanged";
+      labelIndexes.forEach((labelIndex) => {
+        let result = editor.setTranslation(labelIndex, language, term);
+        if (result === "missing") {
+          result = term.trim()
+            ? editor.addTranslation(labelIndex, canonicalizeLanguageTag(language), term)
+            : "empty";
+        }
+        if (result === "updated" || result === "added") {
+          editor.setProvenance(
+            labelIndex,
+            canonicalizeLanguageTag(language),
+            provenanceFields(provenance[labelName], language)
+          );
+        }
+        outcome = result;
+      });
+
+      if (outcome === "empty" || outcome === "unsupported") {
+        entry.rejected.push({
+          language,
+          reason:
+            outcome === "empty"
+              ? ERROR_MESSAGES.EMPTY_TRANSLATION
+              : ERROR_MESSAGES.FLOW_STYLE_UNSUPPORTED,
+        });
+      } else {
+        entry[outcome].push(language);
+      }
+    });
+  });
+
+  const allowedNames = new Set([...editor.labels.map((label) => label.name), ...configItemNames]);
+  newLabels.forEach(({ name, translations: languages, provenance: records }) => {
+    const entry = reportFor(name, true);
+    const label = { name, translations: [], provenance: {} };
+
+    Object.entries(languages || {}).forEach(([language, term]) => {
+      let reason = allowedNames.has(name)
+        ? rejection(language, term)
+        : ERROR_MESSAGES.UNKNOWN_LABEL_NAME;
+      if (!reason && !term.trim()) {
+        reason = ERROR_MESSAGES.EMPTY_TRANSLATION;
+      }
+      if (reason) {
+        entry.rejected.push({ language, reason });
+        return;
+      }
+      const tag = canonicalizeLanguageTag(language);
+      label.translations.push({ [tag]: term });
+      label.provenance[tag] = createProvenanceRecord(provenanceFields(records, language));
+      entry.added.push(language);
+    });
+
+    if (label.translations.length > 0 && editor.addLabel(label) === "unsupported") {
+      entry.rejected.push(
+        ...entry.added.map((language) => ({
+          language,
+          reason: ERROR_MESSAGES.FLOW_STYLE_UNSUPPORTED,
+        }))
+      );
+      entry.added = [];
+    }
+  });
+
+  const content = editor.toString();
+  return {
+    content,
+    changed: content !== text,
+    lines: editor.getChangedLines(content),
+    report,
+  };
+}
+
+/**
+ * Render a scalar in the style of the value it replaces: single-quoted and
+ * plain values keep their style, anything else (double-quoted, block or
+ * empty) becomes double-quoted like the rest of the label file
+ */
+function renderScalar(value, type) {
+  const stringType = type === "QUOTE_SINGLE" || type === "PLAIN" ? type : "QUOTE_DOUBLE";
+  return stringify(value, {
+    ...LABEL_FILE_YAML_OPTIONS,
+    defaultStringType: stringType,
+    singleQuote: stringType === "QUOTE_SINGLE",
+  }).trimEnd();
+}
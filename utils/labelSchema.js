@@ -0,0 +1,309 @@
+import { parseDocument, LineCounter, isMap, isSeq, isScalar } from "yaml";
+import { canonicalizeLanguageTag } from "./languages.js";
+import { PROVENANCE_ORIGINS, isLabelFilePath } from "./labelFile.js";
+import { ERROR_MESSAGES, STATUS_CODES } from "./constants.js";
+
+// Schemas of the YAML files in vocabulary repositories, in a small subset of
+// JSON Schema: type, required, properties, additionalProperties, items,
+// minItems, minProperties, minLength, minimum, enum, format and propertyNames
+// Validation walks the YAML document rather than the parsed value so that
+// every error points at a line and column of the file
+
+const STRING = { type: "string" };
+const URI = { type: "string", format: "uri" };
+const LANGUAGE_TAG = { type: "string", format: "language-tag" };
+
+/**
+ * Label file: a list of labels, each with translations keyed by language
+ */
+export const LABEL_FILE_SCHEMA = {
+  type: "object",
+  required: ["labels"],
+  properties: {
+    labels: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name", "translations"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          translations: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              minProperties: 1,
+              propertyNames: { format: "language-tag" },
+              // Empty values are untranslated entries
+              additionalProperties: { type: ["string", "null"] },
+            },
+          },
+          provenance: {
+            type: "object",
+            propertyNames: { format: "language-tag" },
+            additionalProperties: {
+              type: "object",
+              required: ["origin"],
+              properties: {
+                origin: { type: "string", enum: PROVENANCE_ORIGINS },
+                provider: STRING,
+                author: STRING,
+                timestamp: { type: "string", format: "date-time" },
+              },
+              additionalProperties: false,
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * config.yml: the LDES sources harvested into label files and where the
+ * translated vocabulary is published
+ */
+export const CONFIG_SCHEMA = {
+  type: "object",
+  required: ["target_languages", "sources", "base_uri"],
+  properties: {
+    "batch-size": { type: "integer", minimum: 1 },
+    target_languages: { type: "array", minItems: 1, items: LANGUAGE_TAG },
+    sources: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["name", "url", "language", "items"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          url: URI,
+          language: LANGUAGE_TAG,
+          "id-path": URI,
+          items: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              required: ["name", "path"],
+              properties: { name: { type: "string", minLength: 1 }, path: URI },
+            },
+          },
+        },
+      },
+    },
+    base_uri: URI,
+  },
+};
+
+const FORMATS = {
+  "language-tag": (value) => canonicalizeLanguageTag(value) !== null,
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+  "date-time": (value) => !Number.isNaN(Date.parse(value)),
+};
+
+const FORMAT_MESSAGES = {
+  "language-tag": "a BCP 47 language tag such as nl, pt-BR or zh-Hant",
+  uri: "an absolute URI",
+  "date-time": "an ISO 8601 date and time",
+};
+
+/**
+ * Kind of repository file ("config" or "label"), or null if it is not validated
+ */
+export function getFileType(path) {
+  if (path === "config.yml" || path === "config.yaml") {
+    return "config";
+  }
+  return isLabelFilePath(path) ? "label" : null;
+}
+
+/**
+ * Schema that applies to a file in a repository, or null if it is not validated
+ */
+export function getFileSchema(path) {
+  const type = getFileType(path);
+  if (!type) {
+    return null;
+  }
+  return type === "config" ? CONFIG_SCHEMA : LABEL_FILE_SCHEMA;
+}
+
+/**
+ * Validate YAML text against a schema
+ * Returns [{ line, column, path, message }] with 1-based line and column,
+ * empty when the text is valid
+ */
+export function validateYaml(text, schema) {
+  const lineCounter = new LineCounter();
+  const document = parseDocument(text, { lineCounter, prettyErrors: false });
+
+  if (document.errors.length > 0) {
+    return document.errors.map((error) => {
+      const position = lineCounter.linePos(error.pos[0]);
+      return {
+        line: position.line,
+        column: position.col,
+        path: "",
+        message: error.message.split("\n")[0],
+      };
+    });
+  }
+
+  const errors = [];
+  const report = (node, path, message) => {
+    const position = lineCounter.linePos(node?.range ? node.range[0] : 0);
+    errors.push({ line: position.line, column: position.col, path, message });
+  };
+  validateNode(document.contents, schema, "", report);
+
+  if (schema === LABEL_FILE_SCHEMA && errors.length === 0) {
+    checkDuplicateLanguages(document, report);
+  }
+  return errors.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Validate the YAML text of a repository file against its schema
+ * Files without a schema are always valid
+ */
+export function validateRepositoryFile(path, text) {
+  const schema = getFileSchema(path);
+  return schema ? validateYaml(text, schema) : [];
+}
+
+/**
+ * Throw a 422-style error listing the schema errors of files about to be
+ * written, so that malformed YAML never reaches a branch
+ * files: [{ path, content }] with content as a string
+ */
+export function assertValidFiles(files) {
+  const invalid = files
+    .map((file) => ({ path: file.path, errors: validateRepositoryFile(file.path, file.content) }))
+    .filter((file) => file.errors.length > 0);
+
+  if (invalid.length > 0) {
+    const error = new Error(
+      `${ERROR_MESSAGES.INVALID_FILE_SCHEMA} (${invalid.map((file) => file.path).join(", ")})`
+    );
+    error.status = STATUS_CODES.UNPROCESSABLE_ENTITY;
+    error.validationErrors = invalid;
+    throw error;
+  }
+}
+
+function describeType(node) {
+  if (isMap(node)) return "object";
+  if (isSeq(node)) return "array";
+  if (!isScalar(node) || node.value === null) return "null";
+  if (Number.isInteger(node.value)) return "integer";
+  return typeof node.value;
+}
+
+function matchesType(actual, expected) {
+  const types = [].concat(expected);
+  return types.includes(actual) || (actual === "integer" && types.includes("number"));
+}
+
+function joinPath(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+function validateNode(node, schema, path, report) {
+  const actual = describeType(node);
+  if (schema.type && !matchesType(actual, schema.type)) {
+    report(node, path, `Expected ${[].concat(schema.type).join(" or ")}, found ${actual}`);
+    return;
+  }
+
+  if (actual === "object") {
+    validateMap(node, schema, path, report);
+  } else if (actual === "array") {
+    if (schema.minItems && node.items.length < schema.minItems) {
+      report(node, path, `Expected at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      node.items.forEach((item, index) =>
+        validateNode(item, schema.items, joinPath(path, index), report)
+      );
+    }
+  } else if (actual !== "null") {
+    validateScalar(node, schema, path, report);
+  }
+}
+
+function validateMap(node, schema, path, report) {
+  const keys = node.items.map((pair) => String(isScalar(pair.key) ? pair.key.value : pair.key));
+
+  (schema.required || [])
+    .filter((key) => !keys.includes(key))
+    .forEach((key) => report(node, path, `Missing required property "${key}"`));
+
+  if (schema.minProperties && keys.length < schema.minProperties) {
+    report(node, path, `Expected at least ${schema.minProperties} property(ies)`);
+  }
+
+  node.items.forEach((pair, index) => {
+    const key = keys[index];
+    const keyPath = joinPath(path, key);
+
+    if (schema.propertyNames?.format && !FORMATS[schema.propertyNames.format](key)) {
+      report(pair.key, keyPath, `"${key}" is not ${FORMAT_MESSAGES[schema.propertyNames.format]}`);
+      return;
+    }
+
+    const propertySchema = schema.properties?.[key] || schema.additionalProperties;
+    if (propertySchema === false) {
+      report(pair.key, keyPath, `Unknown property "${key}"`);
+    } else if (propertySchema && propertySchema !== true) {
+      validateNode(pair.value, propertySchema, keyPath, (reported, ...rest) =>
+        // A key without a value ("fr:") has no node of its own to point at
+        report(reported || pair.key, ...rest)
+      );
+    }
+  });
+}
+
+function validateScalar(node, schema, path, report) {
+  const { value } = node;
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(node, path, `Expected one of ${schema.enum.join(", ")}, found "${value}"`);
+  }
+  if (schema.minLength && String(value).trim().length < schema.minLength) {
+    report(node, path, "Expected a non-empty string");
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    report(node, path, `Expected a value of at least ${schema.minimum}`);
+  }
+  if (schema.format && !FORMATS[schema.format](value)) {
+    report(node, path, `"${value}" is not ${FORMAT_MESSAGES[schema.format]}`);
+  }
+}
+
+/**
+ * A language may appear only once in the translations of a label
+ */
+function checkDuplicateLanguages(document, report) {
+  document.get("labels").items.forEach((label, labelIndex) => {
+    const seen = new Set();
+    label.get("translations").items.forEach((translation, translationIndex) => {
+      translation.items.forEach((pair) => {
+        const language = canonicalizeLanguageTag(String(pair.key.value));
+        if (seen.has(language)) {
+          report(
+            pair.key,
+            `labels[${labelIndex}].translations[${translationIndex}].${pair.key.value}`,
+            `Duplicate language "${pair.key.value}" in label "${label.get("name")}"`
+          );
+        }
+        seen.add(language);
+      });
+    });
+  });
+}
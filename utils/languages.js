@@ -0,0 +1,136 @@
+// Language registry: BCP 47 tags (en, pt-BR, zh-Hant, ...) with display
+// names, script, text direction and the codes each translation provider expects
+// Names and scripts come from the ICU data shipped with Node (Intl), so any
+// valid tag can be described; LANGUAGES only lists the ones offered by default
+
+/**
+ * Languages offered to translators, in display order
+ */
+const LANGUAGES = [
+  "en", "nl", "fr", "de", "es", "pt", "pt-BR", "it", "da", "sv", "nb", "fi",
+  "is", "et", "lv", "lt", "pl", "cs", "sk", "sl", "hr", "sr", "bg", "ro", "hu",
+  "el", "tr", "ru", "uk", "ga", "cy", "eu", "ca", "gl", "mt", "ar", "he", "fa",
+  "hi", "bn", "ta", "th", "vi", "id", "ms", "fil", "sw", "ja", "ko", "zh-Hans",
+  "zh-Hant",
+];
+
+// Scripts written right to left
+const RTL_SCRIPTS = new Set([
+  "Arab", "Hebr", "Thaa", "Syrc", "Nkoo", "Adlm", "Rohg", "Mand", "Samr",
+]);
+
+// language[-Script][-REGION][-variant]*, after canonicalization
+const TAG_PATTERN =
+  /^[a-z]{2,3}(-[A-Z][a-z]{3})?(-(?:[A-Z]{2}|\d{3}))?(-(?:[a-z0-9]{5,8}|\d[a-z0-9]{3}))*$/;
+
+// Provider codes that differ from the primary language subtag, checked from
+// the most specific tag to the least specific one
+const PROVIDER_CODES = {
+  deepl: {
+    // Bare EN and PT are deprecated as DeepL target languages
+    en: "EN-GB", pt: "PT-PT", "en-GB": "EN-GB", "en-US": "EN-US", "pt-BR": "PT-BR", "pt-PT": "PT-PT",
+    "zh-Hans": "ZH-HANS", "zh-Hant": "ZH-HANT", "zh-CN": "ZH-HANS",
+    "zh-TW": "ZH-HANT", nb: "NB", no: "NB",
+  },
+  google: {
+    "zh-Hans": "zh-CN", "zh-Hant": "zh-TW", "zh-CN": "zh-CN", "zh-TW": "zh-TW",
+    zh: "zh-CN", "pt-PT": "pt-PT", he: "iw", jv: "jw", fil: "tl", nb: "no",
+  },
+  libretranslate: {
+    "zh-Hant": "zt", "zh-TW": "zt", "pt-BR": "pb",
+  },
+};
+
+const displayNames = new Intl.DisplayNames(["en"], { type: "language", fallback: "none" });
+
+/**
+ * Canonical form of a BCP 47 tag (pt-br -> pt-BR, ZH-hant -> zh-Hant),
+ * or null if the tag is not a valid language[-Script][-REGION] tag of a
+ * known language
+ */
+export function canonicalizeLanguageTag(tag) {
+  if (typeof tag !== "string" || !tag.trim()) {
+    return null;
+  }
+
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(tag.trim().replace(/_/g, "-"));
+  } catch (error) {
+    return null;
+  }
+
+  const language = canonical.split("-")[0];
+  if (!TAG_PATTERN.test(canonical) || language === "und" || !displayNames.of(language)) {
+    return null;
+  }
+  return canonical;
+}
+
+/**
+ * Describe a language tag, or return null if it is not valid
+ */
+export function getLanguage(tag) {
+  const canonical = canonicalizeLanguageTag(tag);
+  if (!canonical) {
+    return null;
+  }
+
+  const locale = new Intl.Locale(canonical);
+  const script = locale.script || locale.maximize().script || null;
+  let nativeName = null;
+  try {
+    nativeName = new Intl.DisplayNames([canonical], { type: "language" }).of(canonical);
+  } catch (error) {
+    // No native data for this locale
+  }
+
+  return {
+    tag: canonical,
+    language: locale.language,
+    region: locale.region || null,
+    name: displayNames.of(canonical) || displayNames.of(locale.language),
+    nativeName,
+    script,
+    direction: RTL_SCRIPTS.has(script) ? "rtl" : "ltr",
+    providerCodes: Object.fromEntries(
+      Object.keys(PROVIDER_CODES).map((provider) => [
+        provider,
+        getProviderLanguageCode(canonical, provider),
+      ])
+    ),
+    offered: LANGUAGES.includes(canonical),
+  };
+}
+
+/**
+ * All languages offered by default
+ */
+export function listLanguages() {
+  return LANGUAGES.map((tag) => getLanguage(tag));
+}
+
+/**
+ * Code a translation provider expects for a language tag
+ * Unknown providers and tags without a mapping get the tag itself (local and
+ * stub providers) or its primary language subtag (machine translation APIs)
+ */
+export function getProviderLanguageCode(tag, provider) {
+  const canonical = canonicalizeLanguageTag(tag) || tag;
+  const codes = PROVIDER_CODES[provider];
+  if (!codes) {
+    return canonical;
+  }
+
+  // zh-Hant-TW -> zh-Hant -> zh
+  const subtags = canonical.split("-");
+  for (let length = subtags.length; length > 0; length -= 1) {
+    const candidate = subtags.slice(0, length).join("-");
+    if (codes[candidate]) {
+      return codes[candidate];
+    }
+  }
+
+  const language = subtags[0];
+  return provider === "deepl" ? language.toUpperCase() : language;
+}
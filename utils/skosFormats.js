@@ -0,0 +1,253 @@
+import { escapeXml } from "./exchangeFormats.js";
+import { STATUS_CODES } from "./constants.js";
+
+// SKOS rendering of label files, as published by the LDES workflow
+// A concept is one label file:
+// { uri, type, path, properties: [{ predicate, values: [{ value, language }] }] }
+
+export const SKOS_NAMESPACE = "http://www.w3.org/2004/02/skos/core#";
+const RDF_NAMESPACE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+
+// Prefixes used to shorten IRIs in Turtle, JSON-LD and RDF/XML
+const PREFIXES = {
+  skos: SKOS_NAMESPACE,
+  rdf: RDF_NAMESPACE,
+  rdfs: "http://www.w3.org/2000/01/rdf-schema#",
+  dcterms: "http://purl.org/dc/terms/",
+};
+
+/**
+ * File extension and media type of each RDF format
+ */
+export const SKOS_FORMATS = {
+  turtle: { extension: "ttl", contentType: "text/turtle; charset=utf-8" },
+  jsonld: { extension: "jsonld", contentType: "application/ld+json; charset=utf-8" },
+  rdfxml: { extension: "rdf", contentType: "application/rdf+xml; charset=utf-8" },
+};
+
+/**
+ * Full IRI of a config.yml path: a CURIE with a known prefix
+ * (skos:prefLabel) is expanded, anything else is taken as an IRI
+ */
+export function expandIri(value) {
+  const match = /^([A-Za-z][\w.-]*):(?!\/\/)(.*)$/.exec(String(value).trim());
+  return match && PREFIXES[match[1]] ? `${PREFIXES[match[1]]}${match[2]}` : String(value).trim();
+}
+
+/**
+ * Predicate IRI of each label name from the items of the config.yml sources
+ * (prefLabel -> skos:prefLabel), and the concept type from their id-path
+ */
+export function getSkosMapping(config) {
+  const predicates = {};
+  (config?.sources || []).forEach((source) => {
+    (source?.items || []).forEach((item) => {
+      if (item?.name && item.path && !predicates[item.name]) {
+        predicates[item.name] = expandIri(item.path);
+      }
+    });
+  });
+  const typed = (config?.sources || []).find((source) => source?.["id-path"]);
+  return {
+    predicates,
+    type: typed ? expandIri(typed["id-path"]) : `${SKOS_NAMESPACE}Concept`,
+  };
+}
+
+/**
+ * URI of the concept of a label file: the config.yml base_uri followed by
+ * the file path without its extension (P01/SDN_P01_ABC.yml -> {base_uri}/P01/SDN_P01_ABC)
+ */
+export function getConceptUri(baseUri, path) {
+  const segments = path
+    .replace(/\.ya?ml$/, "")
+    .split("/")
+    .map((segment) => encodeURIComponent(segment));
+  return `${String(baseUri).replace(/\/+$/, "")}/${segments.join("/")}`;
+}
+
+/**
+ * Concepts of label files ([{ path, content }]) in file order
+ * Labels whose name has no item path, empty values and invalid language tags
+ * are left out; language tags are canonicalized with canonicalize(tag)
+ */
+export function getConcepts(files, config, canonicalize = (tag) => tag) {
+  const { predicates, type } = getSkosMapping(config);
+
+  return files.map(({ path, content }) => {
+    const properties = new Map();
+    content.labels.forEach((label) => {
+      const predicate = predicates[label.name];
+      if (!predicate) {
+        return;
+      }
+      const values = properties.get(predicate) || [];
+      (label.translations || []).forEach((translation) => {
+        Object.entries(translation || {}).forEach(([tag, value]) => {
+          const language = canonicalize(tag);
+          const text = value ? String(value) : "";
+          if (
+            language &&
+            text.trim() &&
+            !values.some((entry) => entry.language === language && entry.value === text)
+          ) {
+            values.push({ value: text, language });
+          }
+        });
+      });
+      properties.set(predicate, values);
+    });
+
+    return {
+      uri: getConceptUri(config.base_uri, path),
+      type,
+      path,
+      properties: [...properties.entries()]
+        .filter(([, values]) => values.length > 0)
+        .map(([predicate, values]) => ({ predicate, values })),
+    };
+  });
+}
+
+// Prefix and local name of an IRI in one of the known namespaces
+function compactIri(iri) {
+  const prefix = Object.keys(PREFIXES).find((name) => iri.startsWith(PREFIXES[name]));
+  const local = prefix ? iri.slice(PREFIXES[prefix].length) : null;
+  return local && /^[A-Za-z_][\w-]*$/.test(local) ? { prefix, local } : null;
+}
+
+function usedIris(concepts) {
+  return concepts.flatMap((concept) => [
+    concept.type,
+    ...concept.properties.map((property) => property.predicate),
+  ]);
+}
+
+// Prefixes needed by the concepts, in PREFIXES order
+function usedPrefixes(concepts) {
+  const used = new Set(usedIris(concepts).map((iri) => compactIri(iri)?.prefix));
+  return Object.keys(PREFIXES).filter((prefix) => used.has(prefix));
+}
+
+function turtleIri(iri) {
+  const compact = compactIri(iri);
+  if (compact) {
+    return `${compact.prefix}:${compact.local}`;
+  }
+  return `<${iri.replace(/[\u0000- <>"{}|^`\\]/g, (character) =>
+    encodeURIComponent(character)
+  )}>`;
+}
+
+function turtleString(value) {
+  return `"${value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t")}"`;
+}
+
+/**
+ * Turtle document with one subject block per concept
+ */
+export function toTurtle(concepts) {
+  const lines = usedPrefixes(concepts).map(
+    (prefix) => `@prefix ${prefix}: <${PREFIXES[prefix]}> .`
+  );
+  concepts.forEach((concept) => {
+    const predicates = [
+      `    a ${turtleIri(concept.type)}`,
+      ...concept.properties.map(
+        ({ predicate, values }) =>
+          `    ${turtleIri(predicate)} ${values
+            .map(({ value, language }) => `${turtleString(value)}@${language}`)
+            .join(", ")}`
+      ),
+    ];
+    lines.push("", turtleIri(concept.uri), `${predicates.join(" ;\n")} .`);
+  });
+  lines.push("");
+  return lines.join("\n");
+}
+
+/**
+ * JSON-LD document with the concepts in an @graph and the namespace
+ * prefixes in its @context
+ */
+export function toJsonLd(concepts) {
+  const jsonIri = (iri) => {
+    const compact = compactIri(iri);
+    return compact ? `${compact.prefix}:${compact.local}` : iri;
+  };
+  const document = {
+    "@context": Object.fromEntries(
+      usedPrefixes(concepts).map((prefix) => [prefix, PREFIXES[prefix]])
+    ),
+    "@graph": concepts.map((concept) => ({
+      "@id": concept.uri,
+      "@type": jsonIri(concept.type),
+      ...Object.fromEntries(
+        concept.properties.map(({ predicate, values }) => [
+          jsonIri(predicate),
+          values.map(({ value, language }) => ({ "@value": value, "@language": language })),
+        ])
+      ),
+    })),
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * RDF/XML document with one rdf:Description per concept
+ * Predicates outside the known namespaces get generated ns1, ns2... prefixes
+ */
+export function toRdfXml(concepts) {
+  const namespaces = new Map(Object.entries(PREFIXES).map(([prefix, iri]) => [iri, prefix]));
+  const used = new Set(["rdf"]);
+  const qualify = (iri) => {
+    const match = /^(.*[#/])([A-Za-z_][\w.-]*)$/.exec(iri);
+    if (!match) {
+      const error = new Error(`Predicate ${iri} cannot be written in RDF/XML.`);
+      error.status = STATUS_CODES.BAD_REQUEST;
+      throw error;
+    }
+    const [, namespace, local] = match;
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, `ns${namespaces.size - Object.keys(PREFIXES).length + 1}`);
+    }
+    used.add(namespaces.get(namespace));
+    return `${namespaces.get(namespace)}:${local}`;
+  };
+
+  const body = concepts.flatMap((concept) => [
+    `  <rdf:Description rdf:about="${escapeXml(concept.uri)}">`,
+    `    <rdf:type rdf:resource="${escapeXml(concept.type)}"/>`,
+    ...concept.properties.flatMap(({ predicate, values }) => {
+      const name = qualify(predicate);
+      return values.map(
+        ({ value, language }) =>
+          `    <${name} xml:lang="${escapeXml(language)}">${escapeXml(value)}</${name}>`
+      );
+    }),
+    "  </rdf:Description>",
+  ]);
+
+  const declarations = [...namespaces.entries()]
+    .filter(([, prefix]) => used.has(prefix))
+    .map(([iri, prefix]) => `xmlns:${prefix}="${escapeXml(iri)}"`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<rdf:RDF ${declarations.join(" ")}>`,
+    ...body,
+    "</rdf:RDF>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Serialize concepts in one of the SKOS_FORMATS
+ */
+export function serializeConcepts(format, concepts) {
+  return { turtle: toTurtle, jsonld: toJsonLd, rdfxml: toRdfXml }[format](concepts);
+}
@@ -0,0 +1,81 @@
+/**
+ * Normalize Unicode and whitespace only: NFC, trim, collapse whitespace
+ */
+export function normalizeSpacing(text) {
+  return String(text ?? "")
+    .normalize("NFC")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalize text for comparison: trim, collapse whitespace, lowercase
+ */
+export function normalizeText(text) {
+  return normalizeSpacing(text).toLowerCase();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity ratio between 0 and 1 based on edit distance of the normalized texts
+ */
+export function similarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  const maxLength = Math.max(left.length, right.length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshtein(left, right) / maxLength;
+}
+
+/**
+ * Words of the normalized text, without punctuation
+ */
+export function splitWords(text) {
+  return normalizeText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word);
+}
+
+/**
+ * Word overlap between 0 and 1 (Dice coefficient over the words of the
+ * normalized texts); insensitive to word order and punctuation
+ */
+export function wordOverlap(a, b) {
+  const left = splitWords(a);
+  const right = splitWords(b);
+  if (left.length === 0 && right.length === 0) return 1;
+
+  const counts = new Map();
+  left.forEach((word) => counts.set(word, (counts.get(word) || 0) + 1));
+  let shared = 0;
+  right.forEach((word) => {
+    if (counts.get(word)) {
+      counts.set(word, counts.get(word) - 1);
+      shared += 1;
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+}